@@ -30,10 +30,111 @@
     revealDelay: 400,        // ms between revealing each result
     typewriterSpeed: 15,     // ms per character (0 = instant)
     dramaticPause: 1200,     // ms before final results
+    profile: 'auto',         // population profile ('auto' = suggest from platform and timezone)
     githubUrl: 'https://github.com/mrchrisneal/foundprint',
     authorUrl: 'https://neal.media/'
   };
 
+  // Options that embedders may override at runtime, either through
+  // FOUNDprint.init(el, options) or data-* attributes on the container
+  // (e.g. data-typewriter-speed="0", data-tests="canvas,webgl,fonts").
+  // Each validator returns { ok, value } or { ok: false, expected }.
+  const OPTION_VALIDATORS = {
+    revealDelay: validateDuration,
+    typewriterSpeed: validateDuration,
+    dramaticPause: validateDuration,
+    tests: validateTestList,
+    githubUrl: validateUrl,
+    authorUrl: validateUrl,
+    dataset: validateDatasetOption,
+    profile: validateProfile
+  };
+
+  function validateDuration(value) {
+    const ms = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof ms === 'number' && isFinite(ms) && ms >= 0) return { ok: true, value: ms };
+    return { ok: false, expected: 'a non-negative number of milliseconds' };
+  }
+
+  // Test ids are checked against the registry when the run starts, so tests
+  // registered after init() can still be listed
+  function validateTestList(value) {
+    const ids = Array.isArray(value) ? value : String(value).split(',');
+    const cleaned = [];
+    for (const id of ids) {
+      const trimmed = String(id).trim();
+      if (trimmed && !cleaned.includes(trimmed)) cleaned.push(trimmed);
+    }
+    if (cleaned.length > 0) return { ok: true, value: cleaned };
+    return { ok: false, expected: 'a comma-separated list of test ids' };
+  }
+
+  function validateUrl(value) {
+    try {
+      const url = new URL(String(value).trim(), window.location.href);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return { ok: true, value: url.href.replace(/\/+$/, '') };
+      }
+    } catch (e) {
+      // Fall through to the error below
+    }
+    return { ok: false, expected: 'an http(s) URL' };
+  }
+
+  // A dataset object, or the URL of a same-origin JSON file. The dataset itself
+  // is checked when it loads (see parseDataset)
+  function validateDatasetOption(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return { ok: true, value: value };
+    try {
+      const url = new URL(String(value).trim(), window.location.href);
+      if (url.origin === window.location.origin) return { ok: true, value: url.href };
+    } catch (e) {
+      // Fall through to the error below
+    }
+    return { ok: false, expected: 'a dataset object or a same-origin URL' };
+  }
+
+  function validateProfile(value) {
+    const id = String(value).trim();
+    if (id === 'auto' || PROFILES[id]) return { ok: true, value: id };
+    return { ok: false, expected: `"auto" or one of ${Object.keys(PROFILES).join(', ')}` };
+  }
+
+  /** Read supported options from data-* attributes on the container */
+  function readDataOptions(container) {
+    const options = {};
+    for (const key of Object.keys(OPTION_VALIDATORS)) {
+      if (container.dataset[key] !== undefined) options[key] = container.dataset[key];
+    }
+    return options;
+  }
+
+  /**
+   * Merge validated options over CONFIG. Bad values are reported to the console
+   * and ignored, so a typo in an embed never breaks the demo.
+   */
+  function resolveConfig(options) {
+    const config = Object.assign({}, CONFIG, { tests: null, dataset: null });
+
+    for (const key of Object.keys(options || {})) {
+      // An option passed as undefined counts as not set
+      if (options[key] === undefined) continue;
+      const validate = OPTION_VALIDATORS[key];
+      if (!validate) {
+        console.error(`FOUNDprint: Unknown option "${key}". Supported: ${Object.keys(OPTION_VALIDATORS).join(', ')}`);
+        continue;
+      }
+      const result = validate(options[key]);
+      if (!result.ok) {
+        console.error(`FOUNDprint: Invalid value ${JSON.stringify(options[key])} for "${key}" (expected ${result.expected}). Using default.`);
+        continue;
+      }
+      config[key] = result.value;
+    }
+
+    return config;
+  }
+
   // Upper bound for uniqueness calculations (can't be more unique than 1 in everyone)
   const WORLD_POPULATION = 8.3e9;
 
@@ -140,6 +241,328 @@
     defaultPercent: 1.0
   };
 
+  // Every lookup table above, listed in exported reports
+  const DATA_TABLES = {
+    screenResolution: SCREEN_RESOLUTION_DATA,
+    browser: BROWSER_DATA,
+    gpu: GPU_DATA,
+    pixelRatio: PIXEL_RATIO_DATA,
+    doNotTrack: DNT_DATA,
+    cpuCores: CPU_CORES_DATA,
+    deviceMemory: DEVICE_MEMORY_DATA,
+    adBlocker: AD_BLOCKER_DATA,
+    timezone: TIMEZONE_DATA,
+    language: LANGUAGE_DATA,
+    platform: PLATFORM_DATA
+  };
+
+  // Version label for the tables bundled with this release
+  const BUNDLED_DATASET_VERSION = 'bundled-' + CONFIG.version;
+
+  // Newer statistics can be loaded at runtime as a versioned JSON dataset that
+  // uses the same table shape (schema: foundprint-dataset.schema.json):
+  //   { format: 'foundprint-dataset', schemaVersion: 1, version, name,
+  //     attributes: { screenResolution: { source, sourceLabel, collected,
+  //                   sampleSize, defaultPercent, note, data }, ... } }
+  // Attributes a dataset leaves out keep using the bundled tables.
+  const DATASET_FORMAT = 'foundprint-dataset';
+  const DATASET_SCHEMA_VERSION = 1;
+
+  const BUNDLED_DATASET = {
+    version: BUNDLED_DATASET_VERSION,
+    name: 'Bundled tables',
+    tables: DATA_TABLES,
+    profiles: {},
+    loaded: []
+  };
+
+  // Population profiles: the tables above describe one global population, which
+  // badly miscalibrates visitors who don't resemble it (a Berlin timezone is rare
+  // worldwide but common in the EU). Each profile overrides the attributes it has
+  // better data for; everything else keeps the global table. Regional timezone
+  // and language tables are population-weighted estimates, not browser telemetry.
+  // `timezones` lists the zones that suggest a regional profile.
+  const STATCOUNTER_NOTE = 'Rounded approximation; OS and browser shares mapped to the values FOUNDprint detects';
+
+  const PROFILES = {
+    global: {
+      name: 'Global',
+      tables: {}
+    },
+    northAmerica: {
+      name: 'North America',
+      timezones: /^(America\/((Indiana|Kentucky|North_Dakota)\/\w+|New_York|Detroit|Chicago|Menominee|Denver|Boise|Phoenix|Los_Angeles|Anchorage|Juneau|Sitka|Nome|Adak|Toronto|Montreal|Halifax|Moncton|Glace_Bay|St_Johns|Winnipeg|Regina|Swift_Current|Edmonton|Vancouver|Whitehorse|Yellowknife|Iqaluit)|Pacific\/Honolulu)$/,
+      tables: {
+        timezone: {
+          source: 'https://www.census.gov/data/tables/time-series/demo/popest/2020s-state-total.html',
+          sourceLabel: 'US and Canadian population by timezone (estimate)',
+          note: 'Population-weighted estimate; not browser telemetry',
+          estimated: true,
+          data: {
+            'America/New_York': 43, 'America/Chicago': 26, 'America/Los_Angeles': 15,
+            'America/Toronto': 5, 'America/Denver': 4, 'America/Phoenix': 2,
+            'America/Vancouver': 1.5, 'America/Edmonton': 1, 'America/Detroit': 0.5,
+            'America/Winnipeg': 0.4, 'Pacific/Honolulu': 0.4, 'America/Anchorage': 0.2
+          },
+          defaultPercent: 0.2
+        },
+        language: {
+          source: null,
+          sourceLabel: 'US and Canadian browser languages (estimate)',
+          note: 'Estimated from home-language census data; browsers skew towards en-US',
+          estimated: true,
+          data: { 'en-US': 86, 'en-CA': 4, 'es-US': 2, 'es': 2, 'fr-CA': 1.5, 'en-GB': 1, 'zh-CN': 0.5 },
+          defaultPercent: 0.3
+        },
+        platform: {
+          source: 'https://gs.statcounter.com/os-market-share/all/north-america',
+          sourceLabel: 'StatCounter OS share, North America (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Win32': 31, 'iPhone': 30, 'MacIntel': 16, 'Linux armv8l': 11, 'Linux aarch64': 6, 'Linux x86_64': 2 },
+          defaultPercent: 1.0
+        },
+        browser: {
+          source: 'https://gs.statcounter.com/browser-market-share/all/north-america',
+          sourceLabel: 'StatCounter browser share, North America (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Chrome': 53, 'Safari': 33, 'Edge': 7, 'Firefox': 4 },
+          defaultPercent: 1.0
+        }
+      }
+    },
+    europe: {
+      name: 'European Union',
+      timezones: /^(Europe\/(Amsterdam|Athens|Berlin|Bratislava|Brussels|Bucharest|Budapest|Busingen|Copenhagen|Dublin|Helsinki|Lisbon|Ljubljana|Luxembourg|Madrid|Malta|Mariehamn|Paris|Prague|Riga|Rome|Sofia|Stockholm|Tallinn|Vienna|Vilnius|Warsaw|Zagreb)|Atlantic\/(Canary|Madeira|Azores)|Asia\/(Nicosia|Famagusta)|Africa\/Ceuta)$/,
+      tables: {
+        timezone: {
+          source: 'https://ec.europa.eu/eurostat/databrowser/view/tps00001/default/table',
+          sourceLabel: 'EU population by member state (Eurostat)',
+          note: 'Population-weighted estimate; assumes one timezone id per member state',
+          estimated: true,
+          data: {
+            'Europe/Berlin': 18.7, 'Europe/Paris': 15.3, 'Europe/Rome': 13.2, 'Europe/Madrid': 10.7,
+            'Europe/Warsaw': 8.2, 'Europe/Bucharest': 4.2, 'Europe/Amsterdam': 4, 'Europe/Brussels': 2.6,
+            'Europe/Prague': 2.4, 'Europe/Stockholm': 2.3, 'Europe/Athens': 2.3, 'Europe/Lisbon': 2.3,
+            'Europe/Budapest': 2.1, 'Europe/Vienna': 2, 'Europe/Sofia': 1.4, 'Europe/Copenhagen': 1.3,
+            'Europe/Helsinki': 1.2, 'Europe/Bratislava': 1.2, 'Europe/Dublin': 1.2, 'Europe/Zagreb': 0.9,
+            'Europe/Vilnius': 0.6, 'Europe/Ljubljana': 0.5, 'Europe/Riga': 0.4, 'Europe/Tallinn': 0.3,
+            'Asia/Nicosia': 0.2, 'Europe/Luxembourg': 0.1, 'Europe/Malta': 0.1
+          },
+          defaultPercent: 0.1
+        },
+        language: {
+          source: null,
+          sourceLabel: 'EU browser languages (estimate)',
+          note: 'Estimated from population by official language, plus English-language browsers',
+          estimated: true,
+          data: {
+            'de-DE': 16, 'fr-FR': 13, 'it-IT': 11, 'es-ES': 9, 'en-US': 8, 'pl-PL': 7, 'en-GB': 4,
+            'nl-NL': 4, 'ro-RO': 3, 'pt-PT': 2, 'cs-CZ': 2, 'sv-SE': 2, 'el-GR': 2, 'hu-HU': 2,
+            'de-AT': 1.5, 'bg-BG': 1.2, 'nl-BE': 1, 'fr-BE': 1, 'da-DK': 1, 'fi-FI': 1, 'sk-SK': 1, 'hr-HR': 0.7
+          },
+          defaultPercent: 0.3
+        },
+        platform: {
+          source: 'https://gs.statcounter.com/os-market-share/all/europe',
+          sourceLabel: 'StatCounter OS share, Europe (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Win32': 30, 'Linux armv8l': 22, 'iPhone': 18, 'Linux aarch64': 11, 'MacIntel': 9, 'Linux x86_64': 2 },
+          defaultPercent: 1.0
+        },
+        browser: {
+          source: 'https://gs.statcounter.com/browser-market-share/all/europe',
+          sourceLabel: 'StatCounter browser share, Europe (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Chrome': 68, 'Safari': 18, 'Edge': 6, 'Firefox': 6 },
+          defaultPercent: 1.0
+        }
+      }
+    },
+    eastAsia: {
+      name: 'East Asia',
+      timezones: /^Asia\/(Shanghai|Chongqing|Harbin|Urumqi|Hong_Kong|Macau|Taipei|Tokyo|Seoul|Ulaanbaatar|Hovd|Choibalsan)$/,
+      tables: {
+        timezone: {
+          source: null,
+          sourceLabel: 'East Asian internet users by timezone (estimate)',
+          note: 'Weighted by internet users in China, Japan, South Korea, Taiwan, Hong Kong and Mongolia',
+          estimated: true,
+          data: {
+            'Asia/Shanghai': 84, 'Asia/Tokyo': 9, 'Asia/Seoul': 3.9, 'Asia/Taipei': 1.6,
+            'Asia/Hong_Kong': 0.55, 'Asia/Urumqi': 0.3, 'Asia/Ulaanbaatar': 0.2
+          },
+          defaultPercent: 0.05
+        },
+        language: {
+          source: null,
+          sourceLabel: 'East Asian browser languages (estimate)',
+          note: 'Weighted by internet users; browsers set to English are a rough guess',
+          estimated: true,
+          data: { 'zh-CN': 81, 'ja': 8.5, 'ko': 3.6, 'en-US': 3, 'zh-TW': 1.6, 'zh-HK': 0.5 },
+          defaultPercent: 0.2
+        },
+        platform: {
+          source: 'https://gs.statcounter.com/os-market-share/all/asia',
+          sourceLabel: 'StatCounter OS share, China/Japan/South Korea (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Win32': 38, 'Linux armv8l': 20, 'iPhone': 18, 'Linux aarch64': 12, 'MacIntel': 5 },
+          defaultPercent: 1.0
+        },
+        browser: {
+          source: 'https://gs.statcounter.com/browser-market-share/all/asia',
+          sourceLabel: 'StatCounter browser share, China/Japan/South Korea (approx.)',
+          note: 'Chromium-based local browsers count as Chrome; ' + STATCOUNTER_NOTE.toLowerCase(),
+          data: { 'Chrome': 58, 'Safari': 22, 'Edge': 12, 'Firefox': 2 },
+          defaultPercent: 1.0
+        }
+      }
+    },
+    mobile: {
+      name: 'Mobile devices',
+      tables: {
+        platform: {
+          source: 'https://gs.statcounter.com/os-market-share/mobile/worldwide',
+          sourceLabel: 'StatCounter mobile OS share, worldwide (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Linux armv8l': 45, 'iPhone': 28, 'Linux aarch64': 25 },
+          defaultPercent: 1.0
+        },
+        browser: {
+          source: 'https://gs.statcounter.com/browser-market-share/mobile/worldwide',
+          sourceLabel: 'StatCounter mobile browser share, worldwide (approx.)',
+          note: 'Samsung Internet and other Chromium browsers count as Chrome; ' + STATCOUNTER_NOTE.toLowerCase(),
+          data: { 'Chrome': 72, 'Safari': 25, 'Firefox': 0.5, 'Edge': 0.3 },
+          defaultPercent: 0.5
+        },
+        screenResolution: {
+          source: 'https://gs.statcounter.com/screen-resolution-stats/mobile/worldwide',
+          sourceLabel: 'StatCounter mobile resolutions, worldwide (approx.)',
+          note: 'CSS-pixel shares converted to physical pixels at the usual pixel ratio',
+          data: {
+            '1080x2400': 12, '720x1600': 9, '1170x2532': 5, '1179x2556': 5, '1080x2340': 5,
+            '828x1792': 3, '1284x2778': 2, '1290x2796': 2, '750x1334': 2, '720x1520': 2
+          },
+          defaultPercent: 0.5
+        },
+        pixelRatio: {
+          source: 'https://gs.statcounter.com/screen-resolution-stats/mobile/worldwide',
+          sourceLabel: 'StatCounter mobile resolutions, worldwide (approx.)',
+          note: 'Derived from typical pixel ratios of the most common phones',
+          estimated: true,
+          data: { '3': 45, '2': 28, '2.5': 6, '1.5': 4 },
+          defaultPercent: 2.0
+        }
+      }
+    },
+    desktop: {
+      name: 'Desktop computers',
+      tables: {
+        platform: {
+          source: 'https://gs.statcounter.com/os-market-share/desktop/worldwide',
+          sourceLabel: 'StatCounter desktop OS share, worldwide (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Win32': 72, 'MacIntel': 16, 'Linux x86_64': 5 },
+          defaultPercent: 1.0
+        },
+        browser: {
+          source: 'https://gs.statcounter.com/browser-market-share/desktop/worldwide',
+          sourceLabel: 'StatCounter desktop browser share, worldwide (approx.)',
+          note: STATCOUNTER_NOTE,
+          data: { 'Chrome': 65, 'Edge': 13, 'Safari': 9, 'Firefox': 6 },
+          defaultPercent: 1.0
+        },
+        screenResolution: {
+          source: 'https://gs.statcounter.com/screen-resolution-stats/desktop/worldwide',
+          sourceLabel: 'StatCounter desktop resolutions, worldwide (approx.)',
+          note: 'CSS-pixel shares combined by physical resolution (1536x864 at 125% is 1920x1080)',
+          data: {
+            '1920x1080': 35, '1366x768': 9, '2560x1440': 7, '3840x2160': 5, '2880x1800': 4,
+            '2560x1600': 4, '3024x1964': 3, '1440x900': 3, '1600x900': 3, '1280x800': 1
+          },
+          defaultPercent: 0.5
+        },
+        pixelRatio: {
+          source: 'https://gs.statcounter.com/screen-resolution-stats/desktop/worldwide',
+          sourceLabel: 'StatCounter desktop resolutions, worldwide (approx.)',
+          note: 'Derived from the scaling implied by the most common resolutions',
+          estimated: true,
+          data: { '1': 50, '2': 20, '1.25': 15, '1.5': 10 },
+          defaultPercent: 2.0
+        }
+      }
+    }
+  };
+
+  // CSS media features probed through matchMedia. `values` are tried in order
+  // and the first match wins; `percent` is the estimated share of browsers with
+  // each value. Input features follow from the primary pointer, so they only
+  // count when they differ from what `pointer` implies (`expected`).
+  const MEDIA_STATCOUNTER = 'https://gs.statcounter.com/platform-market-share/desktop-mobile-tablet/worldwide';
+  const MEDIA_FEATURES = [
+    {
+      feature: 'prefers-color-scheme', difficulty: 'easy', changeRequires: 'OS or browser theme setting',
+      values: ['dark', 'light'], percent: { dark: 40, light: 60 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: false
+    },
+    {
+      feature: 'prefers-reduced-motion', difficulty: 'easy', changeRequires: 'OS accessibility setting',
+      values: ['reduce', 'no-preference'], percent: { reduce: 3, 'no-preference': 97 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: true
+    },
+    {
+      feature: 'prefers-contrast', difficulty: 'easy', changeRequires: 'OS accessibility setting',
+      values: ['more', 'less', 'custom', 'no-preference'], percent: { more: 2, less: 0.5, custom: 1, 'no-preference': 96.5 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: true
+    },
+    {
+      feature: 'prefers-reduced-transparency', difficulty: 'easy', changeRequires: 'OS accessibility setting',
+      values: ['reduce', 'no-preference'], percent: { reduce: 1, 'no-preference': 99 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: true
+    },
+    {
+      feature: 'forced-colors', difficulty: 'easy', changeRequires: 'Windows contrast themes setting',
+      values: ['active', 'none'], percent: { active: 3, none: 97 },
+      source: 'https://blogs.windows.com/msedgedev/2020/09/17/styling-for-windows-high-contrast-with-new-standards-for-forced-colors/',
+      sourceLabel: 'Microsoft Edge blog 2020 (about 4% of Windows devices)', accessibility: true
+    },
+    {
+      feature: 'inverted-colors', difficulty: 'easy', changeRequires: 'OS accessibility setting',
+      values: ['inverted', 'none'], percent: { inverted: 0.5, none: 99.5 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: true
+    },
+    {
+      feature: 'monochrome', difficulty: 'hard', changeRequires: 'Different display (e-ink) or grayscale filter',
+      values: ['monochrome', 'color'], queries: { monochrome: '(monochrome)', color: '(monochrome: 0)' },
+      percent: { monochrome: 0.2, color: 99.8 },
+      source: null, sourceLabel: 'Estimated; e-ink readers and grayscale filters', accessibility: false
+    },
+    {
+      feature: 'color-gamut', difficulty: 'hard', changeRequires: 'Different display',
+      values: ['rec2020', 'p3', 'srgb'], percent: { rec2020: 5, p3: 40, srgb: 55 },
+      source: null, sourceLabel: 'Estimated from Apple device share (all recent Apple displays are P3)', accessibility: false
+    },
+    {
+      feature: 'dynamic-range', difficulty: 'hard', changeRequires: 'Different display or HDR setting',
+      values: ['high', 'standard'], percent: { high: 25, standard: 75 },
+      source: null, sourceLabel: 'Estimated; no representative survey', accessibility: false
+    },
+    {
+      feature: 'pointer', difficulty: 'hard', changeRequires: 'Different device',
+      values: ['coarse', 'fine', 'none'], percent: { coarse: 58, fine: 41, none: 1 },
+      source: MEDIA_STATCOUNTER, sourceLabel: 'StatCounter desktop vs mobile (approx.)', accessibility: false
+    },
+    {
+      feature: 'hover', difficulty: 'hard', changeRequires: 'Different device',
+      values: ['hover', 'none'], expected: { fine: 'hover', coarse: 'none', none: 'none' }, unexpectedPercent: 3,
+      source: null, sourceLabel: 'Estimated; expected from the pointer type', accessibility: false
+    },
+    {
+      feature: 'any-pointer', difficulty: 'hard', changeRequires: 'Add or remove a touchscreen or mouse',
+      values: ['coarse', 'fine', 'none'], expected: { fine: 'fine', coarse: 'coarse', none: 'none' }, unexpectedPercent: 10,
+      source: null, sourceLabel: 'Estimated; touchscreen laptops and phones with a mouse', accessibility: false
+    }
+  ];
+
   // ==========================================================================
   // SECTION 3: BASELINE ENTROPY VALUES
   // ==========================================================================
@@ -160,6 +583,13 @@
       sourceLabel: 'Panopticlick entropy.ts (code comment)',
       note: 'Based on Panopticlick implementation; no academic baseline available'
     },
+    randomization: {
+      bits: 5.06,
+      repeatBits: 1.0,
+      source: 'https://brave.com/privacy-updates/3-fingerprint-randomization/',
+      sourceLabel: 'Brave fingerprint randomization (method)',
+      note: 'Assumes about 3% of browsers randomize rendering output (Brave, Safari private browsing, Firefox resistFingerprinting); estimated'
+    },
     webglRenderer: {
       bits: 3.41,
       source: 'https://hal.inria.fr/hal-01285470/document',
@@ -172,12 +602,36 @@
       sourceLabel: 'Hiding in the Crowd 2018 (Table 3)',
       note: 'Conservative estimate; AmIUnique found 2.14 bits'
     },
+    webglCapabilities: {
+      bits: 4.0,
+      source: null,
+      sourceLabel: 'No public dataset',
+      note: 'Estimated; extension lists and limits mostly follow the GPU, driver and browser'
+    },
+    webglScene: {
+      bits: 5.0,
+      source: null,
+      sourceLabel: 'No public dataset',
+      note: 'Estimated; below the 2D canvas baseline since no text is drawn'
+    },
     fonts: {
       bits: 6.97,
       source: 'https://hal.inria.fr/hal-01718234v2/document',
       sourceLabel: 'Hiding in the Crowd 2018 (Table 3)',
       note: 'Conservative estimate; Panopticlick found 13.9 bits'
     },
+    jsEngine: {
+      bits: 2.5,
+      source: 'https://www.usenix.org/conference/usenixsecurity18/presentation/vastel',
+      sourceLabel: 'FP-Scanner, Vastel et al. 2018 (method)',
+      note: 'Estimated; mostly implied by the browser, the remainder reflects OS math libraries'
+    },
+    speechVoices: {
+      bits: 4.5,
+      source: null,
+      sourceLabel: 'No public dataset',
+      note: 'Estimated; default voices follow the OS, extra ones the installed language packs'
+    },
     userAgent: {
       bits: 6.32,
       source: 'https://hal.inria.fr/hal-01718234v2/document',
@@ -202,6 +656,34 @@
       sourceLabel: 'Panopticlick entropy.ts (calculateTouchPointsEntropy)',
       note: 'Desktop (0 touch) = 1 bit; touch devices = 2-3 bits'
     },
+    featureSurface: {
+      bits: 3.0,
+      source: 'https://www.usenix.org/conference/usenixsecurity18/presentation/vastel',
+      sourceLabel: 'FP-Scanner, Vastel et al. 2018 (method)',
+      note: 'Estimated; mostly implied by the browser version, the remainder reflects builds, flags and extensions'
+    },
+    clientHints: {
+      bits: 2.5,
+      source: 'https://wicg.github.io/ua-client-hints/#security-privacy',
+      sourceLabel: 'UA Client Hints spec, privacy considerations (method)',
+      note: 'Estimated per hint; the device model is only reported on Android',
+      // Bits each non-empty hint adds beyond the frozen user agent string
+      fields: { platformVersion: 1.5, architecture: 0.3, bitness: 0.2, model: 6.0, fullVersionList: 0.5, wow64: 0.1 }
+    },
+    mediaFeatures: {
+      bits: 1.5,
+      source: null,
+      sourceLabel: 'Per-feature estimates',
+      note: 'Sum of per-feature estimates, which mostly lack representative data'
+    },
+    intl: {
+      bits: 1.5,
+      source: null,
+      sourceLabel: 'No public dataset',
+      note: 'Estimated; formatting mostly follows the language, customized regional settings add more',
+      // Share of users assumed to override each locale default (e.g. a 24-hour clock with en-US)
+      customizedPercent: 3
+    },
     connectionType: {
       bits: 1.5,
       source: null,
@@ -226,6 +708,12 @@
       sourceLabel: 'Hiding in the Crowd 2018 (Table 3)',
       note: 'Nearly universal; provides no distinguishing information'
     },
+    cookiesDisabled: {
+      bits: 6.64,
+      source: null,
+      sourceLabel: 'No public dataset',
+      note: 'Estimated; assumes about 1% of browsers block all cookies'
+    },
     localStorage: {
       bits: 0.04,
       source: 'https://hal.inria.fr/hal-01718234v2/document',
@@ -261,134 +749,871 @@
       source: 'https://github.com/panopticlick/Panopticlick/blob/main/packages/valuation-engine/src/entropy.ts',
       sourceLabel: 'Panopticlick POPULATION_STATS (estimated for unlisted)',
       note: 'For memory sizes not in the lookup table'
+    },
+    consistency: {
+      bits: 0.04,
+      source: 'https://www.usenix.org/conference/usenixsecurity18/presentation/vastel',
+      sourceLabel: 'FP-Scanner, Vastel et al. 2018 (method)',
+      note: 'Assumes about 97% of browsers pass every check; shares of each inconsistency are estimated'
     }
   };
 
+  // Declared dependencies between tests. Summing entropies assumes traits are
+  // independent, which overstates uniqueness when one trait largely predicts
+  // another. `redundancy` is the estimated share of `test`'s entropy that `on`
+  // already explains (mutual information / H(test)). Estimates, not measured.
+  const ENTROPY_DEPENDENCIES = [
+    { test: 'platform', on: 'userAgent', redundancy: 0.9, reason: 'The user agent already names the OS' },
+    { test: 'touchSupport', on: 'platform', redundancy: 0.7, reason: 'Touch follows from phone/tablet vs desktop' },
+    { test: 'touchSupport', on: 'userAgent', redundancy: 0.7, reason: 'Mobile user agents imply touch screens' },
+    { test: 'pixelRatio', on: 'screenResolution', redundancy: 0.5, reason: 'HiDPI panels have characteristic resolutions' },
+    { test: 'language', on: 'timezone', redundancy: 0.3, reason: 'Both follow the user\'s country' },
+    { test: 'deviceMemory', on: 'cpuCores', redundancy: 0.4, reason: 'RAM and core counts rise together by device class' },
+    { test: 'mediaFeatures', on: 'touchSupport', redundancy: 0.3, reason: 'The pointer type follows from touch support' },
+    { test: 'intl', on: 'language', redundancy: 0.6, reason: 'Formatting follows the browser language' },
+    { test: 'featureSurface', on: 'userAgent', redundancy: 0.7, reason: 'The feature set mostly follows from the browser version' },
+    { test: 'clientHints', on: 'userAgent', redundancy: 0.3, reason: 'Client hints refine the browser and OS the user agent names' },
+    { test: 'doNotTrack', on: 'userAgent', redundancy: 0.2, reason: 'DNT defaults differ by browser' },
+    { test: 'webgl', on: 'platform', redundancy: 0.3, reason: 'GPU vendor follows the OS (e.g. Apple GPUs on macOS)' },
+    { test: 'webglCapabilities', on: 'webgl', redundancy: 0.6, reason: 'Extensions and limits largely follow the GPU model' },
+    { test: 'webglScene', on: 'webgl', redundancy: 0.5, reason: 'Rasterization follows the GPU and driver' },
+    { test: 'fonts', on: 'userAgent', redundancy: 0.5, reason: 'The bundled font set is mostly determined by the OS' },
+    { test: 'jsEngine', on: 'userAgent', redundancy: 0.8, reason: 'The engine follows from the browser' },
+    { test: 'speechVoices', on: 'userAgent', redundancy: 0.6, reason: 'The default voice set follows the OS and browser' },
+    { test: 'canvas', on: 'webgl', redundancy: 0.3, reason: 'Canvas output depends on the GPU' },
+    { test: 'canvas', on: 'fonts', redundancy: 0.3, reason: 'Canvas text uses the installed fonts' },
+    { test: 'audio', on: 'userAgent', redundancy: 0.3, reason: 'Audio output is largely set by browser engine and OS' }
+  ];
+
   // ==========================================================================
   // SECTION 4: DATA LOOKUP UTILITIES
   // ==========================================================================
 
+  // Legacy and alias timezone ids that browsers still report, mapped to the
+  // canonical IANA ids the tables use (Chrome reports Asia/Calcutta, for one)
+  const TIMEZONE_ALIASES = {
+    'Asia/Calcutta': 'Asia/Kolkata', 'Asia/Saigon': 'Asia/Ho_Chi_Minh', 'Asia/Katmandu': 'Asia/Kathmandu',
+    'Asia/Rangoon': 'Asia/Yangon', 'Asia/Chongqing': 'Asia/Shanghai', 'Asia/Chungking': 'Asia/Shanghai',
+    'Asia/Harbin': 'Asia/Shanghai', 'Asia/Istanbul': 'Europe/Istanbul', 'Asia/Dacca': 'Asia/Dhaka',
+    'Europe/Kiev': 'Europe/Kyiv', 'Europe/Belfast': 'Europe/London', 'Europe/Nicosia': 'Asia/Nicosia',
+    'America/Montreal': 'America/Toronto', 'America/Buenos_Aires': 'America/Argentina/Buenos_Aires',
+    'America/Indianapolis': 'America/Indiana/Indianapolis', 'America/Fort_Wayne': 'America/Indiana/Indianapolis',
+    'America/Louisville': 'America/Kentucky/Louisville',
+    'US/Eastern': 'America/New_York', 'US/Central': 'America/Chicago', 'US/Mountain': 'America/Denver',
+    'US/Arizona': 'America/Phoenix', 'US/Pacific': 'America/Los_Angeles', 'US/Alaska': 'America/Anchorage',
+    'US/Hawaii': 'Pacific/Honolulu', 'Canada/Eastern': 'America/Toronto', 'Canada/Central': 'America/Winnipeg',
+    'Canada/Mountain': 'America/Edmonton', 'Canada/Pacific': 'America/Vancouver',
+    'PRC': 'Asia/Shanghai', 'ROC': 'Asia/Taipei', 'ROK': 'Asia/Seoul', 'Japan': 'Asia/Tokyo',
+    'Hongkong': 'Asia/Hong_Kong', 'Singapore': 'Asia/Singapore', 'GB': 'Europe/London', 'Eire': 'Europe/Dublin',
+    'Poland': 'Europe/Warsaw', 'Portugal': 'Europe/Lisbon', 'Turkey': 'Europe/Istanbul',
+    'Etc/UCT': 'Etc/UTC', 'Etc/Universal': 'Etc/UTC', 'Etc/Zulu': 'Etc/UTC', 'UTC': 'Etc/UTC', 'UCT': 'Etc/UTC'
+  };
+
+  // navigator.platform values that stand for the same kind of system. A table
+  // that only lists 'Android' still scores an Android phone reporting 'Linux armv8l'.
+  const PLATFORM_FAMILIES = [
+    { pattern: /^Linux (arm|aarch64)/i, keys: ['Linux armv8l', 'Linux aarch64', 'Android'] },
+    { pattern: /^(iPhone|iPod)/, keys: ['iPhone'] },
+    { pattern: /^Win/, keys: ['Win32'] },
+    { pattern: /^Mac/, keys: ['MacIntel'] },
+    { pattern: /^Linux/i, keys: ['Linux x86_64'] }
+  ];
+
+  // Shown next to "matched as X" so users can see why a value was scored as another
+  const MATCH_RULES = {
+    exact: 'exact match',
+    case: 'same value, different capitalization',
+    language: 'less specific language tag (BCP 47 fallback)',
+    primaryLanguage: 'same primary language',
+    bucket: 'numeric range',
+    rotated: 'same resolution, other orientation',
+    approximate: 'nearest resolution within 1%',
+    family: 'same GPU model family',
+    alias: 'canonical timezone id',
+    platform: 'same platform family'
+  };
+
+  // Per-attribute matchers. Each takes the trimmed value and a table and
+  // returns { key, rule } for the table key to use, or null. Attributes
+  // without one only match exactly.
+  const VALUE_MATCHERS = {
+    language: matchLanguage,
+    cpuCores: matchNumeric,
+    deviceMemory: matchNumeric,
+    pixelRatio: matchNumeric,
+    screenResolution: matchResolution,
+    gpu: matchGpu,
+    timezone: matchTimezone,
+    platform: matchPlatform
+  };
+
+  function matchExact(value, table) {
+    if (table.data[value] !== undefined) return { key: value, rule: 'exact' };
+    const lower = value.toLowerCase();
+    const key = Object.keys(table.data).find(k => k.toLowerCase() === lower);
+    return key ? { key: key, rule: 'case' } : null;
+  }
+
+  /** The listed key with the largest share, so a loose match never overstates rarity */
+  function mostCommonKey(table, keys) {
+    return keys.reduce((best, key) => (best === null || table.data[key] > table.data[best] ? key : best), null);
+  }
+
+  /** BCP 47: exact tag, then drop subtags (es-MX → es), then a bare language's most common region */
+  function matchLanguage(value, table) {
+    let tag = value;
+    try {
+      tag = Intl.getCanonicalLocales(value)[0];
+    } catch (e) {
+      // Not a well-formed tag; match it as written
+    }
+    const exact = matchExact(tag, table);
+    if (exact) return exact;
+
+    const subtags = tag.split('-');
+    // Script subtags rarely appear in tables: zh-Hans-CN is listed as zh-CN
+    const withoutScript = subtags.filter((subtag, index) => index === 0 || !/^[a-z]{4}$/i.test(subtag)).join('-');
+    if (withoutScript !== tag) {
+      const match = matchExact(withoutScript, table);
+      if (match) return { key: match.key, rule: 'language' };
+    }
+    for (let length = subtags.length - 1; length >= 1; length--) {
+      const match = matchExact(subtags.slice(0, length).join('-'), table);
+      if (match) return { key: match.key, rule: 'language' };
+    }
+
+    // A bare language ('de') can stand for its regional tags ('de-DE'), but one
+    // region never stands for another ('en-US' is not 'en-GB')
+    if (subtags.length > 1) return null;
+    const primary = subtags[0].toLowerCase();
+    const key = mostCommonKey(table, Object.keys(table.data).filter(k => k.split('-')[0].toLowerCase() === primary));
+    return key ? { key: key, rule: 'primaryLanguage' } : null;
+  }
+
+  /**
+   * Numeric keys match by value ('4' and '4.0' are the same). Keys may also be
+   * ranges, '12-15' or '16+', so datasets can publish bucketed counts.
+   */
+  function matchNumeric(value, table) {
+    const number = Number(value);
+    if (value === '' || !isFinite(number)) return matchExact(value, table);
+
+    const keys = Object.keys(table.data);
+    const exact = keys.find(k => /^\d+(\.\d+)?$/.test(k) && Number(k) === number);
+    if (exact) return { key: exact, rule: 'exact' };
+
+    for (const key of keys) {
+      const range = key.match(/^(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?)|(\+))$/);
+      if (!range) continue;
+      const max = range[3] ? Infinity : Number(range[2]);
+      if (number >= Number(range[1]) && number <= max) return { key: key, rule: 'bucket' };
+    }
+    return null;
+  }
+
+  function parseResolution(text) {
+    const match = String(text).match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    return match ? [Number(match[1]), Number(match[2])] : null;
+  }
+
+  /**
+   * Resolutions match in either orientation (phones report portrait, tables
+   * often list landscape) and within 1% per side, which absorbs the rounding in
+   * CSS size × devicePixelRatio.
+   */
+  function matchResolution(value, table) {
+    const size = parseResolution(value);
+    if (!size) return matchExact(value, table);
+
+    let best = null;
+    for (const key of Object.keys(table.data)) {
+      const candidate = parseResolution(key);
+      if (!candidate) continue;
+      for (const [width, height, rotated] of [[candidate[0], candidate[1], false], [candidate[1], candidate[0], true]]) {
+        const diff = Math.abs(width - size[0]) + Math.abs(height - size[1]);
+        const close = Math.abs(width - size[0]) <= Math.max(2, size[0] * 0.01) &&
+                      Math.abs(height - size[1]) <= Math.max(2, size[1] * 0.01);
+        if (!close || (best && diff >= best.diff)) continue;
+        best = { key: key, diff: diff, rule: diff > 0 ? 'approximate' : (rotated ? 'rotated' : 'exact') };
+      }
+    }
+    return best ? { key: best.key, rule: best.rule } : null;
+  }
+
+  /**
+   * Reduce a WebGL renderer string to a plain model name:
+   * 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 (0x00002504) Direct3D11 vs_5_0 ps_5_0, D3D11)'
+   * becomes 'NVIDIA GeForce RTX 3060'.
+   */
+  function normalizeGpuName(renderer) {
+    let name = String(renderer);
+    const angle = name.match(/^ANGLE \((.*)\)$/);
+    if (angle) {
+      const parts = angle[1].split(',');
+      name = parts.length > 1 ? parts[1] : parts[0];
+    }
+    return name
+      .replace(/^\s*ANGLE Metal Renderer:\s*/i, '')
+      .replace(/\((R|TM)\)/gi, '')
+      .replace(/\s*\(0x[0-9a-f]+\)/gi, '')
+      .replace(/\s+(Direct3D|OpenGL|Metal|vs_\d|ps_\d|\/PCIe|\/SSE2).*$/i, '')
+      .replace(/^Mesa\s+/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /** The longest table key found as whole words in the model name ('RTX 3060 Ti' beats 'RTX 3060') */
+  function matchGpu(value, table) {
+    const name = normalizeGpuName(value);
+    const padded = ' ' + name.toLowerCase() + ' ';
+    let best = null;
+    for (const key of Object.keys(table.data)) {
+      if (!padded.includes(' ' + key.toLowerCase() + ' ')) continue;
+      if (!best || key.length > best.length) best = key;
+    }
+    if (!best) return null;
+    return { key: best, rule: best.toLowerCase() === name.toLowerCase() ? 'exact' : 'family' };
+  }
+
+  function canonicalTimezone(timezone) {
+    return TIMEZONE_ALIASES[timezone] || timezone;
+  }
+
+  function matchTimezone(value, table) {
+    const exact = matchExact(value, table);
+    if (exact) return exact;
+    const canonical = canonicalTimezone(value);
+    const key = Object.keys(table.data).find(k => canonicalTimezone(k) === canonical);
+    return key ? { key: key, rule: 'alias' } : null;
+  }
+
+  function matchPlatform(value, table) {
+    const exact = matchExact(value, table);
+    if (exact) return exact;
+    const family = PLATFORM_FAMILIES.find(f => f.pattern.test(value));
+    const key = family && mostCommonKey(table, family.keys.filter(k => table.data[k] !== undefined));
+    return key ? { key: key, rule: 'platform' } : null;
+  }
+
   /**
-   * Look up market share percentage for a value. Tries exact match, then
-   * partial match, then returns defaultPercent.
+   * Look up market share percentage for a value, using the attribute's matcher
+   * (see VALUE_MATCHERS), or defaultPercent when nothing matches. `matched` is
+   * the table key that was used and `rule` says how it matched; both are null
+   * for the default.
    */
-  function lookupMarketShare(dataSource, value) {
+  function lookupMarketShare(dataSource, value, attribute) {
     const normalizedValue = String(value).trim();
+    const matcher = VALUE_MATCHERS[attribute] || matchExact;
+    const match = normalizedValue === '' ? null : matcher(normalizedValue, dataSource);
 
-    // Exact match
-    if (dataSource.data[normalizedValue] !== undefined) {
+    if (match) {
       return {
-        percent: dataSource.data[normalizedValue],
+        percent: dataSource.data[match.key],
         source: dataSource.source,
-        estimated: dataSource.estimated || false
+        estimated: dataSource.estimated || false,
+        matched: match.key,
+        rule: match.rule
       };
     }
 
-    // Partial match (e.g., "Chrome 120" matches "Chrome")
-    for (const key of Object.keys(dataSource.data)) {
-      if (normalizedValue.includes(key) || key.includes(normalizedValue)) {
-        return {
-          percent: dataSource.data[key],
-          source: dataSource.source,
-          estimated: dataSource.estimated || false
-        };
-      }
-    }
-
     // No match - use conservative default
     return {
       percent: dataSource.defaultPercent || 1.0,
       source: dataSource.source,
-      estimated: true
+      estimated: true,
+      matched: null,
+      rule: null
     };
   }
 
-  // Convert market share percentage to entropy bits: log2(100 / percent)
-  function percentToEntropy(percent) {
-    if (percent <= 0) return 10;
-    return Math.log2(100 / percent);
+  /**
+   * Lookup for an attribute scored from a BASELINE_ENTROPY entry instead of a
+   * market-share table. `bits` replaces the baseline's own value when given.
+   */
+  function baselineLookup(baseline, bits) {
+    const entropy = bits === undefined ? baseline.bits : bits;
+    return {
+      percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
+      estimated: true, entropy: entropy, oneInX: Math.pow(2, entropy),
+      note: baseline.note
+    };
   }
 
-  // Convert percentage to "1 in X people" format
-  function percentToOneInX(percent) {
-    if (percent <= 0) return 1000;
-    return 100 / percent;
+  /**
+   * Score a detected value against one of the run's lookup tables. Values the
+   * table doesn't list fall back to `baseline` (a BASELINE_ENTROPY entry) when
+   * given, otherwise to the table's defaultPercent. A null key goes straight to
+   * the baseline. The attribute and key travel with the result so it can be
+   * re-scored against another population profile.
+   */
+  function lookupAttribute(tables, attribute, key, baseline) {
+    const table = tables[attribute];
+    const match = key === null || key === undefined ? null : lookupMarketShare(table, key, attribute);
+    const scoring = { attribute: attribute, key: key, baseline: baseline || null, matched: null, rule: null };
+
+    if (baseline && (!match || match.matched === null)) {
+      return Object.assign(scoring, baselineLookup(baseline));
+    }
+
+    return Object.assign(scoring, {
+      percent: match.percent, source: match.source, sourceLabel: table.sourceLabel,
+      estimated: match.estimated, entropy: percentToEntropy(match.percent),
+      oneInX: percentToOneInX(match.percent), note: table.note,
+      matched: match.matched, rule: match.rule
+    });
   }
 
-  // Fonts to test during font fingerprinting
-  const TEST_FONTS = [
-    'Arial', 'Arial Black', 'Calibri', 'Cambria', 'Comic Sans MS',
-    'Consolas', 'Courier New', 'Georgia', 'Helvetica', 'Impact',
-    'Lucida Console', 'Monaco', 'Palatino Linotype', 'Segoe UI',
-    'Tahoma', 'Times New Roman', 'Trebuchet MS', 'Verdana',
-    'Fira Code', 'JetBrains Mono', 'Source Code Pro', 'Menlo',
-    'SF Pro', 'Roboto', 'Open Sans', 'Helvetica Neue', 'Ubuntu',
-    'Droid Sans', 'Noto Sans', 'Liberation Sans', 'DejaVu Sans'
-  ];
+  /** A lookup's "matched as" note, when the value was scored as a different table key */
+  function matchedAsOf(lookup) {
+    if (!lookup.matched || lookup.rule === 'exact' || lookup.rule === 'case') return null;
+    return { key: lookup.matched, rule: lookup.rule, description: MATCH_RULES[lookup.rule] || lookup.rule };
+  }
 
-  // ==========================================================================
-  // SECTION 5: GENERAL UTILITY FUNCTIONS
-  // ==========================================================================
+  /**
+   * Check one attribute of a loaded dataset. Returns { ok, value } with the
+   * normalized table, or { ok: false, problem }.
+   */
+  function parseDataTable(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { ok: false, problem: 'must be an object' };
+    }
+    if (typeof entry.sourceLabel !== 'string' || entry.sourceLabel.trim() === '') {
+      return { ok: false, problem: 'needs a "sourceLabel"' };
+    }
+    if (entry.source !== undefined && entry.source !== null && !/^https?:\/\//.test(entry.source)) {
+      return { ok: false, problem: '"source" must be an http(s) URL or null' };
+    }
+    if (entry.collected !== undefined && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(entry.collected)) {
+      return { ok: false, problem: '"collected" must be a date (YYYY, YYYY-MM or YYYY-MM-DD)' };
+    }
+    if (entry.sampleSize !== undefined && !(Number.isInteger(entry.sampleSize) && entry.sampleSize > 0)) {
+      return { ok: false, problem: '"sampleSize" must be a positive integer' };
+    }
+    const isPercent = (value) => typeof value === 'number' && value > 0 && value <= 100;
+    if (entry.defaultPercent !== undefined && !isPercent(entry.defaultPercent)) {
+      return { ok: false, problem: '"defaultPercent" must be a percentage above 0' };
+    }
+    if (!entry.data || typeof entry.data !== 'object' || Object.keys(entry.data).length === 0) {
+      return { ok: false, problem: 'needs a non-empty "data" object' };
+    }
 
-  /** Format large numbers for readability (e.g., 8300000000 -> "8.3 billion") */
-  function formatNumber(num) {
-    let text;
-    if (num >= 1e12) text = (num / 1e12).toFixed(1) + ' trillion';
-    else if (num >= 1e9) text = (num / 1e9).toFixed(1) + ' billion';
-    else if (num >= 1e6) text = (num / 1e6).toFixed(1) + ' million';
-    else if (num >= 1e3) text = Math.round(num).toLocaleString();
-    else text = Math.round(num).toString();
+    let total = 0;
+    for (const key of Object.keys(entry.data)) {
+      if (!isPercent(entry.data[key])) {
+        return { ok: false, problem: `has an invalid percentage for "${key}"` };
+      }
+      total += entry.data[key];
+    }
+    // Allow for rounding in published shares
+    if (total > 100.5) return { ok: false, problem: `shares add up to ${total}%` };
 
     return {
-      text: text,
-      isUnique: num >= WORLD_POPULATION,
-      raw: num
+      ok: true,
+      value: {
+        source: entry.source || null,
+        sourceLabel: entry.sourceLabel,
+        collected: entry.collected || null,
+        sampleSize: entry.sampleSize || null,
+        defaultPercent: entry.defaultPercent,
+        estimated: entry.estimated === true,
+        note: typeof entry.note === 'string' ? entry.note : undefined,
+        data: Object.assign({}, entry.data)
+      }
     };
   }
 
-  /** Convert entropy bits to anonymity set size: 2^bits */
-  function entropyToUniqueness(bits) {
-    return Math.pow(2, bits);
-  }
-
   /**
-   * MD5 hash function - creates a 32-character fingerprint of any input.
-   * Based on blueimp/JavaScript-MD5 (MIT License)
+   * Validate a dataset. A malformed envelope rejects the whole dataset; a bad
+   * or unknown attribute is skipped so its bundled table stays in use. Returns
+   * null when nothing usable is left.
    */
-  function md5(str) {
-    function safeAdd(x, y) {
-      const lsw = (x & 0xFFFF) + (y & 0xFFFF);
-      const msw = (x >> 16) + (y >> 16) + (lsw >> 16);
-      return (msw << 16) | (lsw & 0xFFFF);
-    }
-    function bitRotateLeft(num, cnt) {
-      return (num << cnt) | (num >>> (32 - cnt));
+  function parseDataset(raw) {
+    const reject = (problem) => {
+      console.error(`FOUNDprint: Invalid dataset (${problem}). Using bundled tables.`);
+      return null;
+    };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return reject('expected a JSON object');
+    if (raw.format !== DATASET_FORMAT) return reject(`"format" must be "${DATASET_FORMAT}"`);
+    if (raw.schemaVersion !== DATASET_SCHEMA_VERSION) {
+      return reject(`unsupported schemaVersion ${JSON.stringify(raw.schemaVersion)}`);
     }
-    function md5cmn(q, a, b, x, s, t) {
-      return safeAdd(bitRotateLeft(safeAdd(safeAdd(a, q), safeAdd(x, t)), s), b);
+    if (typeof raw.version !== 'string' || raw.version.trim() === '') return reject('"version" must be a non-empty string');
+    if (!raw.attributes || typeof raw.attributes !== 'object') return reject('"attributes" must be an object');
+    if (raw.profiles !== undefined && (!raw.profiles || typeof raw.profiles !== 'object')) {
+      return reject('"profiles" must be an object');
     }
-    function md5ff(a, b, c, d, x, s, t) {
-      return md5cmn((b & c) | ((~b) & d), a, b, x, s, t);
+
+    const loaded = parseDataTables(raw.attributes, '');
+    const profiles = {};
+    let profileTableCount = 0;
+    for (const id of Object.keys(raw.profiles || {})) {
+      if (!PROFILES[id] || id === 'global') {
+        console.error(`FOUNDprint: Unknown dataset profile "${id}" ignored. Supported: ${Object.keys(PROFILES).filter(p => p !== 'global').join(', ')}`);
+        continue;
+      }
+      profiles[id] = parseDataTables((raw.profiles[id] && raw.profiles[id].attributes) || {}, ` in profile "${id}"`);
+      profileTableCount += Object.keys(profiles[id]).length;
     }
-    function md5gg(a, b, c, d, x, s, t) {
-      return md5cmn((b & d) | (c & (~d)), a, b, x, s, t);
+    if (Object.keys(loaded).length === 0 && profileTableCount === 0) return reject('no usable attributes');
+
+    return {
+      version: raw.version.trim(),
+      name: typeof raw.name === 'string' ? raw.name : null,
+      tables: Object.assign({}, DATA_TABLES, loaded),
+      profiles: profiles,
+      loaded: Object.keys(loaded)
+    };
+  }
+
+  /** Parse a dataset's `attributes` object, skipping (and logging) anything unusable */
+  function parseDataTables(attributes, where) {
+    const tables = {};
+    for (const key of Object.keys(attributes)) {
+      if (!DATA_TABLES[key]) {
+        console.error(`FOUNDprint: Unknown dataset attribute "${key}"${where} ignored. Supported: ${Object.keys(DATA_TABLES).join(', ')}`);
+        continue;
+      }
+      const result = parseDataTable(attributes[key]);
+      if (!result.ok) {
+        console.error(`FOUNDprint: Dataset attribute "${key}"${where} ${result.problem}. Using the bundled table.`);
+        continue;
+      }
+      tables[key] = result.value;
     }
-    function md5hh(a, b, c, d, x, s, t) {
-      return md5cmn(b ^ c ^ d, a, b, x, s, t);
+    return tables;
+  }
+
+  // Dataset fetches by URL, so several embeds pointing at one file share a request
+  const datasetRequests = new Map();
+
+  /**
+   * Resolve the `dataset` option. Anything that fails to load or validate falls
+   * back to BUNDLED_DATASET, so a bad dataset never breaks the demo.
+   */
+  function loadDataset(option) {
+    if (!option) return Promise.resolve(BUNDLED_DATASET);
+    if (typeof option !== 'string') return Promise.resolve(parseDataset(option) || BUNDLED_DATASET);
+    if (!datasetRequests.has(option)) datasetRequests.set(option, fetchDataset(option));
+    return datasetRequests.get(option);
+  }
+
+  async function fetchDataset(url) {
+    try {
+      const response = await fetch(url, { credentials: 'same-origin' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return parseDataset(await response.json()) || BUNDLED_DATASET;
+    } catch (e) {
+      console.error(`FOUNDprint: Could not load dataset ${url} (${(e && e.message) || e}). Using bundled tables.`);
+      return BUNDLED_DATASET;
     }
-    function md5ii(a, b, c, d, x, s, t) {
-      return md5cmn(c ^ (b | (~d)), a, b, x, s, t);
+  }
+
+  /**
+   * The lookup tables for a profile: the dataset's global tables, overlaid with
+   * the bundled profile tables, overlaid with the dataset's own profile tables.
+   */
+  function profileTables(dataset, profileId) {
+    return Object.assign({}, dataset.tables, PROFILES[profileId].tables, dataset.profiles[profileId]);
+  }
+
+  /**
+   * Suggest a profile for this browser: a region when the timezone belongs to
+   * one, otherwise a device class from the platform.
+   */
+  function suggestProfile() {
+    const timezone = canonicalTimezone(getTimezoneInfo().raw || '');
+    for (const id of Object.keys(PROFILES)) {
+      if (PROFILES[id].timezones && PROFILES[id].timezones.test(timezone)) return id;
     }
+    const platform = navigator.platform || '';
+    if (/iPhone|iPad|iPod|Android|Linux arm|Linux aarch64/.test(platform) || /Mobi/.test(navigator.userAgent)) return 'mobile';
+    if (/Win|Mac|Linux|CrOS/.test(platform)) return 'desktop';
+    return 'global';
+  }
 
-    function binlMD5(x, len) {
-      x[len >> 5] |= 0x80 << (len % 32);
-      x[(((len + 64) >>> 9) << 4) + 14] = len;
-      let a = 1732584193, b = -271733879, c = -1732584194, d = 271733878;
-      for (let i = 0; i < x.length; i += 16) {
-        const olda = a, oldb = b, oldc = c, oldd = d;
-        a = md5ff(a, b, c, d, x[i], 7, -680876936);
-        d = md5ff(d, a, b, c, x[i + 1], 12, -389564586);
-        c = md5ff(c, d, a, b, x[i + 2], 17, 606105819);
+  /** Turn the `profile` option into a profile id */
+  function resolveProfile(option) {
+    return option && option !== 'auto' ? option : suggestProfile();
+  }
+
+  /** What a report records about the dataset behind its lookups */
+  function describeDataset(dataset, profileId) {
+    const tables = profileTables(dataset, profileId);
+    const loadedProfile = dataset.profiles[profileId] || {};
+    return {
+      version: dataset.version,
+      name: dataset.name,
+      tables: Object.keys(tables).map(key => {
+        const fromProfile = Boolean(loadedProfile[key] || PROFILES[profileId].tables[key]);
+        const loaded = Boolean(loadedProfile[key]) || (!fromProfile && dataset.loaded.includes(key));
+        return {
+          attribute: key,
+          origin: loaded ? 'loaded' : 'bundled',
+          profile: fromProfile ? profileId : null,
+          sourceLabel: tables[key].sourceLabel,
+          source: tables[key].source,
+          collected: tables[key].collected || null,
+          sampleSize: tables[key].sampleSize || null
+        };
+      })
+    };
+  }
+
+  /**
+   * How much of a result's entropy an earlier result already explains. By the
+   * chain rule H(A, B) = H(A) + H(B | A), only tests that ran earlier count. The
+   * shared information is symmetric, so a dependency applies whichever of the
+   * pair ran second, capped by both tests' own entropy. With several earlier
+   * parents the largest overlap is used, since parents overlap with each other.
+   */
+  function entropyRedundancy(result, earlierResults) {
+    let best = null;
+    for (const dep of ENTROPY_DEPENDENCIES) {
+      if (dep.test !== result.id && dep.on !== result.id) continue;
+      const otherId = dep.test === result.id ? dep.on : dep.test;
+      const other = earlierResults.find(r => r.id === otherId);
+      if (!other) continue;
+
+      const dependentBits = dep.test === result.id ? result.entropy : other.entropy;
+      const bits = Math.min(dep.redundancy * dependentBits, result.entropy, other.entropy);
+      if (!best || bits > best.bits) {
+        best = { bits: bits, on: other.id, onName: other.name, reason: dep.reason };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Annotate results (in run order) with `correctedEntropy` and `redundancy`,
+   * and return the corrected total.
+   */
+  function applyEntropyCorrections(results) {
+    let total = 0;
+    results.forEach((result, index) => {
+      result.redundancy = entropyRedundancy(result, results.slice(0, index));
+      result.correctedEntropy = result.entropy - (result.redundancy ? result.redundancy.bits : 0);
+      total += result.correctedEntropy;
+    });
+    return total;
+  }
+
+  /** Corrected total for a subset of results, without touching the originals */
+  function correctedEntropyOf(results) {
+    return applyEntropyCorrections(results.map(r => ({ id: r.id, name: r.name, entropy: r.entropy })));
+  }
+
+  // Convert market share percentage to entropy bits: log2(100 / percent)
+  function percentToEntropy(percent) {
+    if (percent <= 0) return 10;
+    return Math.log2(100 / percent);
+  }
+
+  // Convert percentage to "1 in X people" format
+  function percentToOneInX(percent) {
+    if (percent <= 0) return 1000;
+    return 100 / percent;
+  }
+
+  // Implementation limits read by the WebGL capabilities test (context constant names)
+  const WEBGL_PARAMETERS = [
+    'MAX_TEXTURE_SIZE', 'MAX_CUBE_MAP_TEXTURE_SIZE', 'MAX_RENDERBUFFER_SIZE', 'MAX_VIEWPORT_DIMS',
+    'MAX_VERTEX_ATTRIBS', 'MAX_VERTEX_UNIFORM_VECTORS', 'MAX_VARYING_VECTORS',
+    'MAX_FRAGMENT_UNIFORM_VECTORS', 'MAX_TEXTURE_IMAGE_UNITS', 'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+    'MAX_COMBINED_TEXTURE_IMAGE_UNITS', 'ALIASED_LINE_WIDTH_RANGE', 'ALIASED_POINT_SIZE_RANGE',
+    'RED_BITS', 'GREEN_BITS', 'BLUE_BITS', 'ALPHA_BITS', 'DEPTH_BITS', 'STENCIL_BITS',
+    'SUBPIXEL_BITS', 'SAMPLES', 'SAMPLE_BUFFERS'
+  ];
+
+  // Read in addition on a WebGL2 context
+  const WEBGL2_PARAMETERS = [
+    'MAX_3D_TEXTURE_SIZE', 'MAX_ARRAY_TEXTURE_LAYERS', 'MAX_COLOR_ATTACHMENTS', 'MAX_DRAW_BUFFERS',
+    'MAX_SAMPLES', 'MAX_ELEMENT_INDEX', 'MAX_ELEMENTS_INDICES', 'MAX_ELEMENTS_VERTICES',
+    'MAX_TEXTURE_LOD_BIAS', 'MAX_UNIFORM_BUFFER_BINDINGS', 'MAX_UNIFORM_BLOCK_SIZE',
+    'MAX_COMBINED_UNIFORM_BLOCKS', 'MAX_VERTEX_UNIFORM_BLOCKS', 'MAX_FRAGMENT_UNIFORM_BLOCKS',
+    'MAX_VERTEX_UNIFORM_COMPONENTS', 'MAX_FRAGMENT_UNIFORM_COMPONENTS', 'MAX_VARYING_COMPONENTS',
+    'MAX_VERTEX_OUTPUT_COMPONENTS', 'MAX_FRAGMENT_INPUT_COMPONENTS',
+    'MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS', 'MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS',
+    'MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS', 'MIN_PROGRAM_TEXEL_OFFSET', 'MAX_PROGRAM_TEXEL_OFFSET',
+    'MAX_SERVER_WAIT_TIMEOUT'
+  ];
+
+  // Shaders for the WebGL scene test: a perspective tilt and per-pixel shading
+  // with transcendental functions, whose precision varies between GPUs
+  const WEBGL_SCENE_SHADERS = {
+    vertex: [
+      'attribute vec3 position;',
+      'attribute vec4 color;',
+      'varying vec4 vColor;',
+      'varying vec3 vPosition;',
+      'void main() {',
+      '  float angle = 0.6;',
+      '  vec3 p = vec3(position.x * cos(angle) - position.z * sin(angle), position.y, position.x * sin(angle) + position.z * cos(angle));',
+      '  vColor = color;',
+      '  vPosition = p;',
+      '  gl_Position = vec4(p.xy, p.z * 0.5, 1.0 + p.z * 0.4);',
+      '}'
+    ].join('\n'),
+    fragment: [
+      'precision mediump float;',
+      'varying vec4 vColor;',
+      'varying vec3 vPosition;',
+      'void main() {',
+      '  float light = 0.5 + 0.5 * sin(vPosition.x * 7.3 + vPosition.y * 3.1) * cos(vPosition.z * 5.7);',
+      '  gl_FragColor = vec4(vColor.rgb * pow(light, 0.7), vColor.a);',
+      '}'
+    ].join('\n')
+  };
+
+  const SHADER_PRECISION_TYPES = ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'];
+
+  // Fonts a privacy browser's font allowlist hides: developer, Linux and web fonts
+  // a user installs themselves
+  const USER_INSTALLED_FONTS = [
+    'Fira Code', 'JetBrains Mono', 'Source Code Pro', 'Open Sans', 'Ubuntu',
+    'Droid Sans', 'Liberation Sans', 'DejaVu Sans'
+  ];
+
+  /**
+   * Signatures that privacy browsers standardize on purpose. Each check gets
+   * the collected values and returns true, false, or undefined when the value
+   * wasn't collected.
+   */
+  const PRIVACY_SIGNALS = {
+    letterboxed: {
+      label: 'screen size rounded to 200×100 steps (letterboxing)',
+      weight: 0.5,   // Common real screens (1600×900) are rounded too
+      check: (observed) => {
+        if (!observed.screenResolution) return undefined;
+        const [width, height] = observed.screenResolution.split('x').map(Number);
+        return width % 200 === 0 && height % 100 === 0;
+      }
+    },
+    utc: {
+      label: 'timezone forced to UTC',
+      check: (observed) => observed.timezone === undefined ? undefined :
+        /^(UTC|Etc\/UTC|Etc\/GMT|GMT|Atlantic\/Reykjavik)$/.test(observed.timezone)
+    },
+    enUS: {
+      label: 'language reported as en-US',
+      check: (observed) => observed.language === undefined ? undefined : observed.language === 'en-US'
+    },
+    fixedCores: {
+      label: 'CPU cores fixed at 2',
+      check: (observed) => observed.cpuCores === undefined ? undefined : observed.cpuCores === 2
+    },
+    maskedWebgl: {
+      label: 'WebGL renderer masked as "Mozilla"',
+      check: (observed) => observed.webglRenderer === undefined ? undefined : observed.webglRenderer === 'Mozilla'
+    },
+    fontAllowlist: {
+      label: 'only allowlisted fonts visible',
+      weight: 0.5,   // Also true of most stock Windows and macOS installs
+      check: (observed) => observed.fonts === undefined ? undefined :
+        !observed.fonts.some(font => USER_INSTALLED_FONTS.includes(font))
+    },
+    firefoxUa: {
+      label: 'Firefox user agent',
+      check: (observed) => /Firefox\/\d+/.test(observed.userAgent) && !/Chrome|Chromium/.test(observed.userAgent)
+    },
+    chromiumUa: {
+      label: 'Chromium user agent',
+      check: (observed) => /Chrome\/\d+/.test(observed.userAgent)
+    },
+    braveApi: {
+      label: 'navigator.brave present',
+      check: (observed) => observed.braveApi
+    },
+    randomizedRendering: {
+      label: 'canvas, audio or WebGL output randomized',
+      check: (observed) => observed.randomized
+    }
+  };
+
+  /**
+   * Browsers whose users share one standardized fingerprint. When one is
+   * recognized, the anonymity set is its user base rather than everyone
+   * online, and the attributes listed in `standardized` tell nobody apart
+   * within it. Tor Browser and Mullvad Browser are built to look identical,
+   * so they are one entry. User counts are rough public figures.
+   */
+  const PRIVACY_BROWSERS = [
+    {
+      id: 'tor',
+      name: 'Tor Browser or Mullvad Browser',
+      users: 2000000,
+      source: 'https://metrics.torproject.org/userstats-relay-country.html',
+      sourceLabel: 'Tor Metrics (daily users, estimate)',
+      signals: ['letterboxed', 'utc', 'enUS', 'fixedCores', 'maskedWebgl', 'fontAllowlist', 'firefoxUa'],
+      standardized: [
+        'screenResolution', 'pixelRatio', 'timezone', 'language', 'userAgent', 'platform',
+        'doNotTrack', 'cpuCores', 'deviceMemory', 'touchSupport', 'connectionType', 'mediaFeatures',
+        'webgl', 'webglCapabilities', 'webglScene', 'fonts', 'canvas', 'audio'
+      ]
+    },
+    {
+      id: 'firefoxRfp',
+      name: 'Firefox with resistFingerprinting',
+      users: 1000000,
+      source: null,
+      sourceLabel: 'Estimated; Mozilla publishes no figure',
+      signals: ['utc', 'enUS', 'fixedCores', 'maskedWebgl', 'firefoxUa'],
+      standardized: [
+        'pixelRatio', 'timezone', 'language', 'userAgent', 'platform', 'doNotTrack', 'cpuCores',
+        'deviceMemory', 'touchSupport', 'connectionType', 'mediaFeatures', 'webgl', 'webglScene',
+        'canvas', 'audio'
+      ]
+    },
+    {
+      id: 'brave',
+      name: 'Brave with Shields',
+      users: 80000000,
+      source: 'https://brave.com/transparency/',
+      sourceLabel: 'Brave transparency report (monthly users)',
+      signals: ['braveApi', 'randomizedRendering', 'chromiumUa'],
+      standardized: ['cpuCores', 'fonts', 'webglScene', 'canvas', 'audio']
+    }
+  ];
+
+  // Weighted share of a browser's signals that must match, and how many
+  // full-weight signals at least; weak signals alone never identify a browser
+  const PRIVACY_BROWSER_MATCH_RATIO = 0.8;
+  const PRIVACY_BROWSER_MIN_SIGNALS = 3;
+
+  /** The collected values the privacy signals look at */
+  function observeForPrivacyBrowser(results) {
+    const valueOf = (id) => {
+      const result = results.find(r => r.id === id);
+      return result ? result.value : undefined;
+    };
+    const webgl = valueOf('webgl');
+    return {
+      screenResolution: valueOf('screenResolution'),
+      timezone: valueOf('timezone'),
+      language: valueOf('language'),
+      cpuCores: valueOf('cpuCores'),
+      fonts: valueOf('fonts'),
+      webglRenderer: webgl === undefined ? undefined : (typeof webgl === 'string' ? webgl : webgl.renderer),
+      userAgent: valueOf('userAgent') || navigator.userAgent,
+      braveApi: Boolean(navigator.brave),
+      randomized: results.some(r => r.value && r.value.randomization)
+    };
+  }
+
+  /** Summed weight of privacy signals; signals without a weight count 1 */
+  function signalWeight(ids) {
+    return ids.reduce((total, id) => total + (PRIVACY_SIGNALS[id].weight === undefined ? 1 : PRIVACY_SIGNALS[id].weight), 0);
+  }
+
+  /**
+   * Recognize a privacy browser from a run's results and score the user
+   * within its anonymity set. Returns null when none matches.
+   */
+  function identifyPrivacyBrowser(results) {
+    const observed = observeForPrivacyBrowser(results);
+    let best = null;
+    for (const browser of PRIVACY_BROWSERS) {
+      const checked = browser.signals.filter(id => PRIVACY_SIGNALS[id].check(observed) !== undefined);
+      const matched = checked.filter(id => PRIVACY_SIGNALS[id].check(observed));
+      const ratio = checked.length ? signalWeight(matched) / signalWeight(checked) : 0;
+      const strong = matched.filter(id => PRIVACY_SIGNALS[id].weight === undefined).length;
+      if (strong < PRIVACY_BROWSER_MIN_SIGNALS || ratio < PRIVACY_BROWSER_MATCH_RATIO) continue;
+      if (!best || ratio > best.ratio) best = { browser: browser, matched: matched, ratio: ratio };
+    }
+    if (!best) return null;
+
+    // Only what the browser leaves alone tells its users apart
+    const browser = best.browser;
+    const distinguishing = results.filter(r => !browser.standardized.includes(r.id));
+    const entropy = correctedEntropyOf(distinguishing);
+    const uniqueness = entropyToUniqueness(entropy);
+    return {
+      id: browser.id,
+      name: browser.name,
+      users: browser.users,
+      source: browser.source,
+      sourceLabel: browser.sourceLabel,
+      signals: best.matched.map(id => PRIVACY_SIGNALS[id].label),
+      standardized: results.filter(r => browser.standardized.includes(r.id)).map(r => r.id),
+      entropy: entropy,
+      oneInX: Math.min(uniqueness, browser.users),
+      isUnique: uniqueness >= browser.users
+    };
+  }
+
+  // Fonts to test during font fingerprinting
+  const TEST_FONTS = [
+    'Arial', 'Arial Black', 'Calibri', 'Cambria', 'Comic Sans MS',
+    'Consolas', 'Courier New', 'Georgia', 'Helvetica', 'Impact',
+    'Lucida Console', 'Monaco', 'Palatino Linotype', 'Segoe UI',
+    'Tahoma', 'Times New Roman', 'Trebuchet MS', 'Verdana',
+    'Fira Code', 'JetBrains Mono', 'Source Code Pro', 'Menlo',
+    'SF Pro', 'Roboto', 'Open Sans', 'Helvetica Neue', 'Ubuntu',
+    'Droid Sans', 'Noto Sans', 'Liberation Sans', 'DejaVu Sans'
+  ];
+
+  // ==========================================================================
+  // SECTION 5: GENERAL UTILITY FUNCTIONS
+  // ==========================================================================
+
+  /** Format large numbers for readability (e.g., 8300000000 -> "8.3 billion") */
+  function formatNumber(num) {
+    let text;
+    if (num >= 1e12) text = (num / 1e12).toFixed(1) + ' trillion';
+    else if (num >= 1e9) text = (num / 1e9).toFixed(1) + ' billion';
+    else if (num >= 1e6) text = (num / 1e6).toFixed(1) + ' million';
+    else if (num >= 1e3) text = Math.round(num).toLocaleString();
+    else text = Math.round(num).toString();
+
+    return {
+      text: text,
+      isUnique: num >= WORLD_POPULATION,
+      raw: num
+    };
+  }
+
+  /** Convert entropy bits to anonymity set size: 2^bits */
+  function entropyToUniqueness(bits) {
+    return Math.pow(2, bits);
+  }
+
+  /**
+   * MD5 hash function - creates a 32-character fingerprint of any input.
+   * Based on blueimp/JavaScript-MD5 (MIT License)
+   */
+  function md5(str) {
+    function safeAdd(x, y) {
+      const lsw = (x & 0xFFFF) + (y & 0xFFFF);
+      const msw = (x >> 16) + (y >> 16) + (lsw >> 16);
+      return (msw << 16) | (lsw & 0xFFFF);
+    }
+    function bitRotateLeft(num, cnt) {
+      return (num << cnt) | (num >>> (32 - cnt));
+    }
+    function md5cmn(q, a, b, x, s, t) {
+      return safeAdd(bitRotateLeft(safeAdd(safeAdd(a, q), safeAdd(x, t)), s), b);
+    }
+    function md5ff(a, b, c, d, x, s, t) {
+      return md5cmn((b & c) | ((~b) & d), a, b, x, s, t);
+    }
+    function md5gg(a, b, c, d, x, s, t) {
+      return md5cmn((b & d) | (c & (~d)), a, b, x, s, t);
+    }
+    function md5hh(a, b, c, d, x, s, t) {
+      return md5cmn(b ^ c ^ d, a, b, x, s, t);
+    }
+    function md5ii(a, b, c, d, x, s, t) {
+      return md5cmn(c ^ (b | (~d)), a, b, x, s, t);
+    }
+
+    function binlMD5(x, len) {
+      x[len >> 5] |= 0x80 << (len % 32);
+      x[(((len + 64) >>> 9) << 4) + 14] = len;
+      let a = 1732584193, b = -271733879, c = -1732584194, d = 271733878;
+      for (let i = 0; i < x.length; i += 16) {
+        const olda = a, oldb = b, oldc = c, oldd = d;
+        a = md5ff(a, b, c, d, x[i], 7, -680876936);
+        d = md5ff(d, a, b, c, x[i + 1], 12, -389564586);
+        c = md5ff(c, d, a, b, x[i + 2], 17, 606105819);
         b = md5ff(b, c, d, a, x[i + 3], 22, -1044525330);
         a = md5ff(a, b, c, d, x[i + 4], 7, -176418897);
         d = md5ff(d, a, b, c, x[i + 5], 12, 1200080426);
@@ -484,14 +1709,147 @@
     return binl2hex(binlMD5(str2binl(utf8), utf8.length * 8)).toUpperCase();
   }
 
-  /** Combine all fingerprint values into a single MD5 hash */
-  function generateFingerprintHash(values) {
-    const str = values.map(v => JSON.stringify(v)).join('|');
-    return md5(str);
+  // Branches of the fingerprint hash tree
+  const HASH_GROUPS = ['hardware', 'software', 'locale', 'rendering'];
+
+  // Similarity at or above which a fuzzy-matching tracker would link two fingerprints
+  const SIMILARITY_LINK_THRESHOLD = 0.85;
+
+  /** Group a result belongs to (results from older exports may lack one) */
+  function resultGroup(result) {
+    const group = result.group || (tests[result.id] && tests[result.id].group);
+    return HASH_GROUPS.includes(group) ? group : 'software';
   }
 
-  /** Extract browser and OS from user agent string */
-  function parseUserAgent(ua) {
+  /**
+   * Build a fingerprint hash tree from test results: one MD5 per component,
+   * one per group (hardware, software, locale, rendering) and a root hash over
+   * the groups. A browser update that bumps the UA only changes the software
+   * branch, which is how real trackers keep re-linking "changed" fingerprints.
+   */
+  function generateFingerprintHash(results) {
+    const components = {};
+    const groups = {};
+    for (const group of HASH_GROUPS) groups[group] = { hash: null, components: [] };
+
+    for (const result of results) {
+      components[result.id] = md5(result.id + ':' + JSON.stringify(result.value));
+      groups[resultGroup(result)].components.push(result.id);
+    }
+
+    for (const group of HASH_GROUPS) {
+      const ids = groups[group].components.sort();
+      if (ids.length > 0) groups[group].hash = md5(ids.map(id => id + '=' + components[id]).join('|'));
+    }
+
+    const hash = md5(HASH_GROUPS.map(group => group + '=' + (groups[group].hash || '')).join('|'));
+    return { hash: hash, groups: groups, components: components };
+  }
+
+  /** Dice coefficient over character bigrams: 1 for identical strings, 0 for nothing shared */
+  function stringSimilarity(a, b) {
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const pair = a.slice(i, i + 2);
+      bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const pair = b.slice(i, i + 2);
+      if (bigrams.get(pair) > 0) {
+        bigrams.set(pair, bigrams.get(pair) - 1);
+        shared++;
+      }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+  }
+
+  /** How alike two raw values are, from 0 to 1 (strings, lists and objects get partial credit) */
+  function valueSimilarity(a, b) {
+    if (JSON.stringify(a) === JSON.stringify(b)) return 1;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const setA = new Set(a.map(v => JSON.stringify(v)));
+      const setB = new Set(b.map(v => JSON.stringify(v)));
+      const union = new Set([...setA, ...setB]);
+      let shared = 0;
+      setA.forEach(v => { if (setB.has(v)) shared++; });
+      return union.size > 0 ? shared / union.size : 0;
+    }
+    if (typeof a === 'string' && typeof b === 'string') return stringSimilarity(a, b);
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      let total = 0;
+      keys.forEach(key => { total += valueSimilarity(a[key], b[key]); });
+      return keys.size > 0 ? total / keys.size : 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Entropy-weighted similarity between two fingerprints (lists of results),
+   * the way fuzzy-matching trackers re-link a browser after something changed.
+   * Rendering components are output hashes, so only exact matches count there.
+   * Accepts reports or plain result arrays.
+   */
+  function fingerprintSimilarity(previous, current) {
+    const previousResults = Array.isArray(previous) ? previous : previous.results;
+    const currentResults = Array.isArray(current) ? current : current.results;
+    const previousById = new Map(previousResults.map(r => [r.id, r]));
+    const currentById = new Map(currentResults.map(r => [r.id, r]));
+    const ids = new Set([...previousById.keys(), ...currentById.keys()]);
+    const components = [];
+    let weighted = 0;
+    let totalWeight = 0;
+
+    ids.forEach(id => {
+      const before = previousById.get(id);
+      const after = currentById.get(id);
+      const weight = Math.max(before ? before.entropy : 0, after ? after.entropy : 0);
+      let similarity = 0;
+      if (before && after) {
+        similarity = resultGroup(after) === 'rendering'
+          ? (JSON.stringify(before.value) === JSON.stringify(after.value) ? 1 : 0)
+          : valueSimilarity(before.value, after.value);
+      }
+      components.push({ id: id, name: (after || before).name, similarity: similarity, weight: weight });
+      weighted += similarity * weight;
+      totalWeight += weight;
+    });
+
+    const score = totalWeight > 0 ? weighted / totalWeight : 0;
+    return { score: score, linked: score >= SIMILARITY_LINK_THRESHOLD, components: components };
+  }
+
+  // High-entropy User-Agent Client Hints requested from navigator.userAgentData
+  const CLIENT_HINTS = ['architecture', 'bitness', 'model', 'platformVersion', 'fullVersionList', 'wow64', 'formFactors'];
+
+  // Client hint brand names, mapped to the names parseUserAgent uses
+  const CLIENT_HINT_BRANDS = {
+    'Google Chrome': 'Chrome', 'Microsoft Edge': 'Edge', 'Opera': 'Opera', 'Brave': 'Brave',
+    'Samsung Internet': 'Samsung', 'Yandex': 'Yandex', 'Vivaldi': 'Vivaldi'
+  };
+
+  // Client hints can't change during a page's life, so they're requested once
+  let clientHintsRequest = null;
+
+  /** Resolve with the high-entropy client hints, or null where the API is missing */
+  function getClientHints() {
+    const uaData = navigator.userAgentData;
+    if (!uaData || typeof uaData.getHighEntropyValues !== 'function') return Promise.resolve(null);
+    if (!clientHintsRequest) {
+      clientHintsRequest = uaData.getHighEntropyValues(CLIENT_HINTS).catch(() => null);
+    }
+    return clientHintsRequest;
+  }
+
+  /**
+   * Extract browser and OS from user agent string. Chromium freezes the OS
+   * version and device model in the string ("Windows NT 10.0", "Android 10; K"),
+   * so client hints take precedence when given; `reduced` marks a frozen string
+   * read without them.
+   */
+  function parseUserAgent(ua, hints) {
     let browser = 'Unknown Browser';
     let os = 'Unknown OS';
 
@@ -524,7 +1882,23 @@
       os = ua.includes('Android') ? 'Android' : 'Linux';
     }
 
-    return { browser, os };
+    if (!hints) {
+      return { browser, os, reduced: /Chrome\/\d+\.0\.0\.0/.test(ua) };
+    }
+
+    const brand = (hints.fullVersionList || hints.brands || []).find(b => CLIENT_HINT_BRANDS[b.brand]);
+    if (brand) browser = CLIENT_HINT_BRANDS[brand.brand] + ' ' + brand.version.split('.')[0];
+
+    const version = String(hints.platformVersion || '').split('.').map(Number);
+    if (hints.platform === 'Windows' && hints.platformVersion) {
+      // platformVersion 13 and up is Windows 11; 1-10 is Windows 10; 0 is older
+      os = version[0] >= 13 ? 'Windows 11' : version[0] > 0 ? 'Windows 10' : 'Windows 7/8';
+    } else if (hints.platform === 'macOS' && hints.platformVersion) {
+      os = 'macOS ' + version.slice(0, 2).join('.');
+    } else if (hints.platform === 'Android') {
+      os = 'Android' + (hints.platformVersion ? ' ' + version[0] : '') + (hints.model ? ` (${hints.model})` : '');
+    }
+    return { browser, os, reduced: false };
   }
 
   /** Get timezone info in readable format */
@@ -539,6 +1913,20 @@
     return { timezone: readableTz, offset: offsetStr, raw: tz };
   }
 
+  /**
+   * UTC offset in minutes (east positive) of an IANA timezone at a given
+   * moment, worked out through Intl instead of Date.getTimezoneOffset().
+   */
+  function timezoneOffsetMinutes(timeZone, date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  }
+
   /**
    * Analyze pixel ratio for zoom detection. Browser zoom affects devicePixelRatio,
    * so we try to determine the "true" DPR and zoom level.
@@ -592,25 +1980,668 @@
 
     // No match - assume 1x screen with unusual zoom
     return {
-      displayRatio, trueDPR: 1, zoomPercent: Math.round(displayRatio * 100),
-      isZoomed: true, confidence: 'low', matchedBucket: '1'
+      displayRatio, trueDPR: 1, zoomPercent: Math.round(displayRatio * 100),
+      isZoomed: true, confidence: 'low', matchedBucket: '1'
+    };
+  }
+
+  /** Escape text for safe insertion into innerHTML */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  /** Pause execution for animations */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // ==========================================================================
+  // SECTION 6: FINGERPRINTING TESTS
+  // ==========================================================================
+  // Each test detects a browser characteristic. Tests are grouped by compatibility:
+  // - TIER 1 (High): Works in almost all browsers
+  // - TIER 2 (Good): Works in most modern browsers
+  // - TIER 3 (Advanced): Fingerprinting techniques that may not work everywhere
+  // - TIER 4 (Behavioral): User behavior detection
+  // - TIER 5 (Consistency): Cross-checks of earlier results for contradictions
+
+  // The fixed plugin list browsers report since plugins were removed, present
+  // whenever the built-in PDF viewer is enabled
+  const PDF_PLUGINS = [
+    'PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF'
+  ];
+
+  // Storage interfaces the Storage test looks for
+  const STORAGE_APIS = {
+    localStorage: 'local storage',
+    sessionStorage: 'session storage',
+    indexedDB: 'IndexedDB',
+    caches: 'Cache Storage'
+  };
+
+  // Floating-point expressions whose last bits differ between JavaScript engines
+  // (and, where an engine calls the system math library, between OSes and CPUs)
+  const MATH_PROBES = {
+    tan: () => Math.tan(-1e300),
+    sinh: () => Math.sinh(1),
+    cosh: () => Math.cosh(10),
+    expm1: () => Math.expm1(1),
+    log1p: () => Math.log1p(10),
+    atanh: () => Math.atanh(0.5),
+    cbrt: () => Math.cbrt(100),
+    powPi: () => Math.pow(Math.PI, -100),
+    powE: () => Math.pow(Math.E, 0.5 * Math.LN10),
+    expLarge: () => Math.exp(709.7),
+    piBase36: () => Math.PI.toString(36),
+    eBase7: () => Math.E.toString(7),
+    sqrt2Base3: () => Math.SQRT2.toString(3)
+  };
+
+  // Engine families, recognized by the message of a property read on null
+  const JS_ENGINES = [
+    { name: 'V8', browsers: 'Chrome, Edge, Opera, Brave', pattern: /Cannot read propert/ },
+    { name: 'SpiderMonkey', browsers: 'Firefox', pattern: /has no properties|can't access property/ },
+    { name: 'JavaScriptCore', browsers: 'Safari and every iOS browser', pattern: /is not an object/ }
+  ];
+
+  // How long to wait for speech synthesis voices to load (ms)
+  const VOICES_TIMEOUT = 1500;
+
+  /**
+   * Feature surface: [id, Chrome, Firefox, Safari], where each version is the
+   * first release that shipped the feature. It is null when the feature is
+   * missing there, differs by platform or is often switched off; those
+   * features only count towards the bitmap, not the version estimate. Ids are
+   * paths from window, except 'css:' ids, which go through CSS.supports.
+   */
+  const FEATURE_SURFACE = [
+    // JavaScript
+    ['globalThis', 71, 65, 12.1],
+    ['queueMicrotask', 71, 69, 12.1],
+    ['BigInt', 67, 68, 14],
+    ['WeakRef', 84, 79, 14.1],
+    ['AggregateError', 85, 79, 14],
+    ['Array.prototype.flat', 69, 62, 12],
+    ['Array.prototype.at', 92, 90, 15.4],
+    ['Array.prototype.findLast', 97, 104, 15.4],
+    ['Array.prototype.toSorted', 110, 115, 16],
+    ['Array.fromAsync', 121, 115, 16.4],
+    ['Object.hasOwn', 93, 92, 15.4],
+    ['Object.groupBy', 117, 119, 17.4],
+    ['String.prototype.replaceAll', 85, 77, 13.1],
+    ['String.prototype.isWellFormed', 111, 119, 16.4],
+    ['Promise.any', 85, 79, 14],
+    ['Promise.withResolvers', 119, 121, 17.4],
+    ['Promise.try', 128, 134, 18.2],
+    ['Set.prototype.union', 122, 127, 17],
+    ['Iterator', 122, 131, 18.4],
+    ['ArrayBuffer.prototype.resize', 111, 128, 16.4],
+    ['ArrayBuffer.prototype.transfer', 114, 122, 17.4],
+    ['Float16Array', 135, 129, 18.2],
+    ['RegExp.escape', 136, 134, 18.2],
+    ['Uint8Array.fromBase64', 140, 133, 18.2],
+    ['Atomics.waitAsync', 87, null, 16.4],
+    ['Error.captureStackTrace', null, null, null],
+    ['SharedArrayBuffer', null, null, null],
+    ['WebAssembly.Tag', 95, 100, null],
+    ['Intl.Locale', 74, 75, 14],
+    ['Intl.ListFormat', 72, 78, 14.1],
+    ['Intl.DisplayNames', 81, 86, 14.1],
+    ['Intl.Segmenter', 87, 125, 14.1],
+    ['Intl.DurationFormat', 129, 136, 16.4],
+    ['Intl.supportedValuesOf', 99, 93, 15.4],
+    ['Intl.DateTimeFormat.prototype.formatRange', 76, 91, 14.1],
+    ['Intl.NumberFormat.prototype.formatRange', 106, 116, 15.4],
+
+    // Window and DOM
+    ['structuredClone', 98, 94, 15.4],
+    ['reportError', 95, 93, 15.4],
+    ['requestIdleCallback', 47, 55, null],
+    ['visualViewport', 61, 91, 13],
+    ['crossOriginIsolated', 87, 72, 15.2],
+    ['trustedTypes', 83, null, null],
+    ['scheduler', 94, null, null],
+    ['navigation', 102, null, null],
+    ['documentPictureInPicture', null, null, null],
+    ['showOpenFilePicker', null, null, null],
+    ['queryLocalFonts', null, null, null],
+    ['EyeDropper', null, null, null],
+    ['ResizeObserver', 64, 69, 13.1],
+    ['IntersectionObserver', 51, 55, 12.1],
+    ['BroadcastChannel', 54, 38, 15.4],
+    ['SharedWorker', null, null, null],
+    ['AbortSignal.timeout', 103, 100, 16],
+    ['AbortSignal.any', 116, 124, 17.4],
+    ['URL.canParse', 120, 115, 17],
+    ['URL.parse', 126, 126, 18],
+    ['URLPattern', 95, null, null],
+    ['Response.json', 105, 115, 17],
+    ['HTMLDialogElement', 37, 98, 15.4],
+    ['HTMLElement.prototype.inert', 102, 112, 15.5],
+    ['HTMLElement.prototype.showPopover', 114, 125, 17],
+    ['HTMLScriptElement.supports', 96, 94, 16],
+    ['HTMLVideoElement.prototype.requestVideoFrameCallback', 83, 132, 15.4],
+    ['ElementInternals', 77, 93, 16.4],
+    ['Element.prototype.checkVisibility', 105, 106, 17.4],
+    ['Element.prototype.setHTMLUnsafe', 124, 123, 17.4],
+    ['Element.prototype.computedStyleMap', 66, null, 16.4],
+    ['Element.prototype.ariaLabel', null, 119, null],
+    ['Document.prototype.startViewTransition', 111, 144, 18],
+    ['CSSStyleSheet.prototype.replaceSync', 73, 101, 16.4],
+    ['CSSLayerBlockRule', 99, 97, 15.4],
+    ['CSSContainerRule', 105, 110, 16],
+    ['CSSPropertyRule', 85, 128, 16.4],
+    ['CSSStartingStyleRule', 117, 129, 17.5],
+    ['CSSScopeRule', 118, null, 17.4],
+    ['CSS.registerProperty', 78, 128, 16.4],
+    ['CSS.paintWorklet', null, null, null],
+    ['Highlight', 105, 140, 17.2],
+    ['CanvasRenderingContext2D.prototype.roundRect', 99, 112, 16],
+    ['OffscreenCanvas', 69, 105, 16.4],
+    ['WebGL2RenderingContext', 56, 51, 15],
+    ['PointerEvent.prototype.getCoalescedEvents', 58, 59, null],
+    ['DeviceOrientationEvent.requestPermission', null, null, null],
+    ['screen.orientation', 38, 43, 16.4],
+
+    // Navigator
+    ['navigator.userActivation', 72, 120, 16.4],
+    ['navigator.locks', 69, 96, 15.4],
+    ['navigator.wakeLock', 84, 126, 16.4],
+    ['navigator.mediaCapabilities', 66, 63, 13],
+    ['navigator.pdfViewerEnabled', 94, 99, 16.4],
+    ['navigator.mediaSession', null, 82, 15],
+    ['navigator.share', null, null, null],
+    ['navigator.getBattery', null, null, null],
+    ['navigator.connection', null, null, null],
+    ['navigator.deviceMemory', null, null, null],
+    ['navigator.userAgentData', null, null, null],
+    ['navigator.globalPrivacyControl', null, null, null],
+    ['navigator.gpu', null, null, null],
+    ['navigator.bluetooth', null, null, null],
+    ['navigator.usb', null, null, null],
+    ['navigator.serial', null, null, null],
+    ['navigator.hid', null, null, null],
+    ['navigator.keyboard', null, null, null],
+
+    // Media, crypto and storage
+    ['crypto.randomUUID', 92, 95, 15.4],
+    ['PublicKeyCredential', 67, 60, 13],
+    ['PaymentRequest', null, null, null],
+    ['AudioWorkletNode', 66, 76, 14.1],
+    ['webkitAudioContext', null, null, null],
+    ['MediaSource', null, null, null],
+    ['ManagedMediaSource', null, null, null],
+    ['VideoDecoder', 94, null, 16.4],
+    ['RTCRtpScriptTransform', null, null, null],
+    ['BarcodeDetector', null, null, null],
+    ['webkitSpeechRecognition', null, null, null],
+    ['CompressionStream', 80, 113, 16.4],
+    ['TextDecoderStream', 71, 105, 14.1],
+    ['WebTransport', null, null, null],
+    ['FileSystemHandle', 86, 111, 15.2],
+    ['CookieStore', 87, 140, 18.4],
+
+    // CSS
+    ['css:aspect-ratio: 1', 88, 89, 15],
+    ['css:translate: 1px', 104, 72, 14.1],
+    ['css:appearance: none', 84, 80, 15.4],
+    ['css:accent-color: red', 93, 92, 15.4],
+    ['css:overscroll-behavior: contain', 63, 59, 16],
+    ['css:content-visibility: auto', 85, 125, 18],
+    ['css:container-type: inline-size', 105, 110, 16],
+    ['css:backdrop-filter: blur(1px)', 76, 103, 18],
+    ['css:mask-image: none', 120, 53, 15.4],
+    ['css:clip-path: xywh(0 0 1px 1px)', 119, 122, 17.2],
+    ['css:scrollbar-gutter: stable', 94, 97, 18.2],
+    ['css:scrollbar-width: thin', 121, 64, 18.2],
+    ['css:scrollbar-color: red blue', 121, 64, null],
+    ['css:font-palette: dark', 101, 107, 15.4],
+    ['css:hyphenate-character: auto', 106, 98, 17],
+    ['css:white-space-collapse: preserve', 114, 124, 17.4],
+    ['css:text-wrap: balance', 114, 121, 17.5],
+    ['css:text-wrap: pretty', 117, null, null],
+    ['css:transition-behavior: allow-discrete', 117, 129, 17.4],
+    ['css:view-transition-name: a', 111, 144, 18],
+    ['css:zoom: 1', 1, 126, 3.1],
+    ['css:width: 1dvh', 108, 101, 15.4],
+    ['css:width: round(1px, 1px)', 125, 118, 15.4],
+    ['css:color: oklch(0.5 0.1 100)', 111, 113, 15.4],
+    ['css:color: color-mix(in srgb, red, blue)', 111, 113, 16.2],
+    ['css:color: light-dark(red, blue)', 123, 120, 17.5],
+    ['css:color: rgb(from red r g b)', 119, 128, null],
+    ['css:animation-timeline: scroll()', 115, null, null],
+    ['css:anchor-name: --foundprint', 125, null, null],
+    ['css:field-sizing: content', null, null, null],
+    ['css:-moz-appearance: none', null, null, null],
+    ['css:-webkit-touch-callout: none', null, null, null],
+    ['css:selector(:is(a))', 88, 78, 14],
+    ['css:selector(:focus-visible)', 86, 85, 15.4],
+    ['css:selector(:has(a))', 105, 121, 15.4],
+    ['css:selector(:user-invalid)', 119, 88, 16.5],
+    ['css:selector(:popover-open)', 114, 125, 17],
+    ['css:selector(:state(foundprint))', 125, 126, 17.4]
+  ];
+
+  // Features only exposed to secure contexts (HTTPS); on an http:// page their
+  // absence says nothing about the version
+  const SECURE_CONTEXT_FEATURES = [
+    'crypto.randomUUID', 'navigator.locks', 'navigator.wakeLock', 'CookieStore', 'FileSystemHandle',
+    'PublicKeyCredential', 'AudioWorkletNode', 'VideoDecoder'
+  ];
+
+  // Engines whose first releases FEATURE_SURFACE lists, in column order
+  const FEATURE_ENGINES = ['Chromium', 'Firefox', 'Safari'];
+
+  // Browsers whose major version is their engine's version
+  const FEATURE_BROWSERS = { Chrome: 'Chromium', Edge: 'Chromium', Brave: 'Chromium', Firefox: 'Firefox', Safari: 'Safari' };
+
+  /** Whether a FEATURE_SURFACE id exists in this browser */
+  function hasFeature(id) {
+    try {
+      if (id.startsWith('css:')) {
+        const condition = id.slice(4);
+        return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+          CSS.supports(condition.startsWith('selector(') ? condition : `(${condition})`);
+      }
+      const path = id.split('.');
+      let target = window;
+      for (const key of path.slice(0, -1)) {
+        target = target[key];
+        if (target === null || target === undefined) return false;
+      }
+      return path[path.length - 1] in Object(target);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Major versions of one engine that fit a feature bitmap: present features
+   * set the lowest, missing ones the highest. Null when no release fits;
+   * max is null when the range is open-ended. Secure-context features are
+   * skipped on insecure pages.
+   */
+  function featureVersionRange(bitmap, column) {
+    const secure = window.isSecureContext !== false;
+    let min = 0;
+    let max = Infinity;
+    FEATURE_SURFACE.forEach((feature, i) => {
+      const since = feature[column];
+      if (since === null || (!secure && SECURE_CONTEXT_FEATURES.includes(feature[0]))) return;
+      if (bitmap[i] === '1') min = Math.max(min, Math.floor(since));
+      else max = Math.min(max, Math.ceil(since) - 1);
+    });
+    if (min > max) return null;
+    return { min: min, max: max === Infinity ? null : max };
+  }
+
+  /** Readable version range, e.g. "Firefox 115-120" or "Chromium 124 or later" */
+  function describeVersionRange(engine, range) {
+    if (range.max === null) return range.min ? `${engine} ${range.min} or later` : `any ${engine} release`;
+    if (range.min === range.max) return `${engine} ${range.min}`;
+    return range.min ? `${engine} ${range.min}-${range.max}` : `${engine} ${range.max} or earlier`;
+  }
+
+  /**
+   * Compare the browser version the user agent names with the releases the
+   * feature surface fits. Returns what doesn't match, null when they agree,
+   * or undefined when the browser can't be compared.
+   */
+  function featureVersionMismatch(versions, browser) {
+    const parts = browser.split(' ');
+    const engine = FEATURE_BROWSERS[parts[0]];
+    const major = parseInt(parts[1], 10);
+    if (!versions || !engine || isNaN(major)) return undefined;
+    const range = versions[engine];
+    if (!range) return `Your user agent says ${browser}, but no ${engine} release has this feature set.`;
+    if (major >= range.min && (range.max === null || major <= range.max)) return null;
+    return `Your user agent says ${browser}, but its features fit ${describeVersionRange(engine, range)}.`;
+  }
+
+  // Fixed moment and number formatted by the Intl test, so outputs are comparable
+  const INTL_SAMPLE_DATE = Date.UTC(2001, 10, 23, 15, 4, 5, 6);
+  const INTL_SAMPLE_NUMBER = -1234567.891;
+
+  // Intl.supportedValuesOf keys; the list sizes track the browser's ICU version
+  const INTL_SUPPORTED_KEYS = ['calendar', 'collation', 'currency', 'numberingSystem', 'timeZone', 'unit'];
+
+  // Resolved formatting options compared against the locale's own defaults,
+  // with readable names for the end screen
+  const INTL_CUSTOMIZATIONS = {
+    locale: 'formatting locale',
+    calendar: 'calendar',
+    numberingSystem: 'digits',
+    hourCycle: 'clock',
+    collation: 'sort order'
+  };
+
+  // Renders per rendering probe when looking for randomization
+  const RANDOMIZATION_SAMPLES = 3;
+
+  const RANDOMIZATION_DESCRIPTIONS = {
+    perCall: 'adds fresh random noise to every read',
+    perSession: 'adds random noise that stays fixed for this session'
+  };
+
+  /**
+   * Classify how a rendering probe behaves across fresh renders. Output that
+   * differs between renders is noise added per call; identical output that
+   * still gets a known answer wrong is noise seeded once per session (how
+   * Brave and Safari private browsing farble). Otherwise it is `stable`.
+   */
+  function classifyRandomization(samples, knownAnswerMatches) {
+    if (new Set(samples).size > 1) return 'perCall';
+    return knownAnswerMatches ? 'stable' : 'perSession';
+  }
+
+  /**
+   * Entropy of a randomized probe. Noisy output can't link visits, so only the
+   * presence of a randomizer counts, and once an earlier probe has found one,
+   * another adds little.
+   */
+  function randomizationBits(ctx) {
+    const baseline = BASELINE_ENTROPY.randomization;
+    const seenBefore = ctx.results.some(r => r.value && r.value.randomization);
+    return seenBefore ? baseline.repeatBits : baseline.bits;
+  }
+
+  function randomizedLookup(ctx) {
+    const baseline = BASELINE_ENTROPY.randomization;
+    return baselineLookup(baseline, randomizationBits(ctx));
+  }
+
+  /** Draw the canvas test scene on a fresh canvas and return its data URL */
+  function renderCanvasScene() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 280;
+    canvas.height = 60;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    // Draw test shapes that reveal rendering differences
+    ctx.fillStyle = '#f60';
+    ctx.fillRect(125, 1, 62, 20);
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#069';
+    ctx.font = '14px "Times New Roman"';
+    ctx.fillText('Cwm fjordbank glyphs vext quiz', 2, 15);
+    ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+    ctx.font = '18px Arial';
+    ctx.fillText('FOUNDprint test', 4, 45);
+
+    // Overlapping circles with multiply blend mode
+    ctx.globalCompositeOperation = 'multiply';
+    const colors = [['#f2f', 40, 40], ['#2ff', 80, 40], ['#ff2', 60, 60]];
+    for (const [color, x, y] of colors) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, 25, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    return canvas.toDataURL();
+  }
+
+  /** A solid canvas fill reads back exactly unless the browser adds noise */
+  function canvasKnownAnswerMatches() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 16;
+    canvas.height = 16;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgb(255, 102, 0)';
+    ctx.fillRect(0, 0, 16, 16);
+    const pixels = ctx.getImageData(0, 0, 16, 16).data;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i] !== 255 || pixels[i + 1] !== 102 || pixels[i + 2] !== 0 || pixels[i + 3] !== 255) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Clear fresh WebGL contexts to a known color and read the pixels back;
+   * see classifyRandomization
+   */
+  function webglReadbackRandomization() {
+    const samples = [];
+    let knownAnswerMatches = true;
+    for (let i = 0; i < RANDOMIZATION_SAMPLES; i++) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 4;
+      canvas.height = 4;
+      const gl = canvas.getContext('webgl', { preserveDrawingBuffer: true });
+      if (!gl) return 'stable';
+      gl.clearColor(1, 0.4, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      const pixels = new Uint8Array(4 * 4 * 4);
+      gl.readPixels(0, 0, 4, 4, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      for (let p = 0; p < pixels.length; p += 4) {
+        if (pixels[p] !== 255 || pixels[p + 1] !== 102 || pixels[p + 2] !== 0 || pixels[p + 3] !== 255) {
+          knownAnswerMatches = false;
+        }
+      }
+      samples.push(pixels.join(','));
+      // Browsers cap live WebGL contexts; release these right away
+      const loseContext = gl.getExtension('WEBGL_lose_context');
+      if (loseContext) loseContext.loseContext();
+    }
+    return classifyRandomization(samples, knownAnswerMatches);
+  }
+
+  /** Render the audio test signal in a fresh context and resolve with its signature */
+  function renderAudioSignature(AudioContext) {
+    const context = new AudioContext(1, 5000, 44100);
+    const oscillator = context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = 10000;
+
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -50;
+    compressor.knee.value = 40;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0;
+    compressor.release.value = 0.25;
+
+    oscillator.connect(compressor);
+    compressor.connect(context.destination);
+    oscillator.start(0);
+
+    return new Promise((resolve) => {
+      context.oncomplete = (event) => {
+        const buffer = event.renderedBuffer.getChannelData(0);
+        let sum = 0;
+        for (let i = 4500; i < 5000; i++) {
+          sum += Math.abs(buffer[i]);
+        }
+        oscillator.disconnect();
+        resolve(Math.round(sum * 10000) / 10000);
+      };
+      context.startRendering();
+    });
+  }
+
+  /** A buffer of constant samples reads back exactly unless the browser adds noise */
+  function audioKnownAnswerMatches(AudioContext) {
+    const context = new AudioContext(1, 128, 44100);
+    const buffer = context.createBuffer(1, 128, 44100);
+    buffer.getChannelData(0).fill(0.5);
+    return buffer.getChannelData(0).every(sample => sample === 0.5);
+  }
+
+  /**
+   * Contradictions between attributes that a real browser never produces, but
+   * that spoofing one attribute (a user agent switcher, a "privacy" extension)
+   * easily does. Each check gets the values observed so far and returns a
+   * description of the lie, or null. `percent` is the estimated share of
+   * browsers showing it; there is no public dataset, so these are guesses.
+   */
+  const CONSISTENCY_CHECKS = [
+    {
+      id: 'uaPlatform',
+      name: 'User agent vs. platform',
+      percent: 1.0,
+      check: function(observed) {
+        const os = parseUserAgent(observed.userAgent).os;
+        const expected = os === 'iOS' ? /^(iPhone|iPad|iPod|MacIntel)$/ :
+                         os.startsWith('Windows') ? /^Win/ :
+                         os.startsWith('macOS') ? /^Mac/ :
+                         os === 'Android' ? /^(Linux|Android)/ :
+                         os === 'Linux' ? /^Linux/ : null;
+        if (!expected || !observed.platform || expected.test(observed.platform)) return null;
+        return `Your user agent says ${os}, but navigator.platform is ${observed.platform}.`;
+      }
+    },
+    {
+      id: 'uaHints',
+      name: 'User agent vs. client hints',
+      percent: 0.5,
+      check: function(observed) {
+        if (!observed.hintsPlatform) return undefined;
+        const os = parseUserAgent(observed.userAgent).os;
+        const expected = { Windows: /^Windows/, macOS: /^macOS/, Android: /^Android/, Linux: /^Linux/, 'Chrome OS': /^Linux|Unknown/ }[observed.hintsPlatform];
+        if (!expected || expected.test(os)) return null;
+        return `Your user agent says ${os}, but client hints say ${observed.hintsPlatform}.`;
+      }
+    },
+    {
+      id: 'engineUa',
+      name: 'JavaScript engine vs. user agent',
+      percent: 0.5,
+      check: function(observed) {
+        if (!observed.engine || observed.engine === 'Unknown') return undefined;
+        const ua = observed.userAgent;
+        const expected = /iPhone|iPad|iPod/.test(ua) ? 'JavaScriptCore' :
+                         /Firefox\//.test(ua) ? 'SpiderMonkey' :
+                         /Chrome\/|Chromium\//.test(ua) ? 'V8' :
+                         /Safari\//.test(ua) ? 'JavaScriptCore' : null;
+        if (!expected) return undefined;
+        if (expected === observed.engine) return null;
+        return `Your user agent implies ${expected}, but the JavaScript engine behaves like ${observed.engine}.`;
+      }
+    },
+    {
+      id: 'featuresUa',
+      name: 'Feature surface vs. user agent',
+      percent: 0.5,
+      check: function(observed) {
+        return featureVersionMismatch(observed.featureVersions, parseUserAgent(observed.userAgent).browser);
+      }
+    },
+    {
+      id: 'mobileTouch',
+      name: 'Mobile user agent vs. touch',
+      percent: 0.5,
+      check: function(observed) {
+        if (!/Mobi|iPhone|iPad|Android/.test(observed.userAgent) || observed.touchPoints > 0) return null;
+        return 'Your user agent is a phone or tablet browser, but the device reports no touch points.';
+      }
+    },
+    {
+      id: 'webglOs',
+      name: 'GPU vs. operating system',
+      percent: 0.5,
+      check: function(observed) {
+        if (!observed.webglRenderer) return undefined;
+        const os = parseUserAgent(observed.userAgent).os;
+        const renderer = observed.webglRenderer;
+        const apple = os === 'iOS' || os.startsWith('macOS');
+        if (/Direct3D|D3D\d/.test(renderer) && !os.startsWith('Windows')) {
+          return `WebGL renders through Direct3D, which only exists on Windows, but your user agent says ${os}.`;
+        }
+        if (/Apple (M\d|GPU)/.test(renderer) && !apple) {
+          return `Your GPU is an Apple chip, but your user agent says ${os}.`;
+        }
+        if (/Mali|PowerVR|Adreno/.test(renderer) && os.startsWith('macOS')) {
+          return `Your GPU is a phone GPU, but your user agent says ${os}.`;
+        }
+        return null;
+      }
+    },
+    {
+      id: 'windowSize',
+      name: 'Window vs. screen size',
+      percent: 1.0,
+      check: function(observed) {
+        const { innerWidth, innerHeight, outerWidth, outerHeight, screenWidth, screenHeight, zoomPercent } = observed.window;
+        if (!screenWidth || !screenHeight) return undefined;
+        // Zooming out makes the viewport larger in CSS pixels than the screen, so
+        // undo the zoom; the outer window size isn't zoomed in most browsers, and
+        // a maximized window's borders may hang a few pixels off screen
+        const zoom = zoomPercent / 100;
+        if (innerWidth * zoom <= screenWidth + 2 && innerHeight * zoom <= screenHeight + 2) return null;
+        if (outerWidth && outerWidth <= screenWidth + 16 && outerHeight <= screenHeight + 16) return null;
+        return `Your browser window (${innerWidth}×${innerHeight}) is larger than your screen (${screenWidth}×${screenHeight}).`;
+      }
+    },
+    {
+      id: 'languages',
+      name: 'Language vs. preferred languages',
+      percent: 0.5,
+      check: function(observed) {
+        // Chrome's navigator.language is the UI language, which may come later in
+        // the list; only a language missing from the list entirely is a contradiction
+        if (observed.languages.length === 0 || !observed.language) return undefined;
+        if (observed.languages.includes(observed.language)) return null;
+        return `navigator.language is ${observed.language}, but your preferred languages are ${observed.languages.join(', ')}.`;
+      }
+    },
+    {
+      id: 'timezoneOffset',
+      name: 'Timezone vs. clock offset',
+      percent: 0.3,
+      check: function(observed) {
+        const now = new Date();
+        let expected;
+        try {
+          expected = timezoneOffsetMinutes(observed.timezone, now);
+        } catch (e) {
+          return undefined;
+        }
+        const actual = -now.getTimezoneOffset();
+        if (expected === actual) return null;
+        const format = (minutes) => {
+          const abs = Math.abs(minutes);
+          return 'UTC' + (minutes < 0 ? '-' : '+') + String(Math.floor(abs / 60)).padStart(2, '0') + ':' + String(abs % 60).padStart(2, '0');
+        };
+        return `Your timezone ${observed.timezone} is ${format(expected)} right now, but the clock reports ${format(actual)}.`;
+      }
+    }
+  ];
+
+  /**
+   * Values the consistency checks compare: earlier results when those tests ran,
+   * otherwise read directly, so the tier also works on a subset of tests.
+   */
+  function observeForConsistency(results) {
+    const valueOf = (id, read) => {
+      const result = results.find(r => r.id === id);
+      return result ? result.value : read();
+    };
+    const webgl = results.find(r => r.id === 'webgl');
+    const hints = results.find(r => r.id === 'clientHints');
+    const engine = results.find(r => r.id === 'jsEngine');
+    const features = results.find(r => r.id === 'featureSurface');
+    return {
+      userAgent: valueOf('userAgent', () => navigator.userAgent),
+      platform: valueOf('platform', () => navigator.platform),
+      touchPoints: valueOf('touchSupport', () => navigator.maxTouchPoints || 0),
+      language: valueOf('language', () => navigator.language),
+      languages: navigator.languages ? Array.from(navigator.languages) : [],
+      timezone: valueOf('timezone', () => getTimezoneInfo().raw),
+      webglRenderer: webgl ? (typeof webgl.value === 'string' ? webgl.value : webgl.value.renderer) : null,
+      hintsPlatform: hints ? hints.value.platform : null,
+      engine: engine ? engine.value.engine : null,
+      featureVersions: features ? features.value.versions : null,
+      window: {
+        innerWidth: window.innerWidth, innerHeight: window.innerHeight,
+        outerWidth: window.outerWidth, outerHeight: window.outerHeight,
+        screenWidth: screen.width, screenHeight: screen.height,
+        zoomPercent: analyzePixelRatio(window.devicePixelRatio || 1).zoomPercent
+      }
     };
   }
 
-  /** Pause execution for animations */
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  // ==========================================================================
-  // SECTION 6: FINGERPRINTING TESTS
-  // ==========================================================================
-  // Each test detects a browser characteristic. Tests are grouped by compatibility:
-  // - TIER 1 (High): Works in almost all browsers
-  // - TIER 2 (Good): Works in most modern browsers
-  // - TIER 3 (Advanced): Fingerprinting techniques that may not work everywhere
-  // - TIER 4 (Behavioral): User behavior detection
-
   const tests = {
 
     // TIER 1: HIGH COMPATIBILITY
@@ -619,34 +2650,17 @@
       name: 'Screen Resolution',
       difficulty: 'hard',
       changeRequires: 'Different monitor',
-      run: function() {
+      tier: 1,
+      group: 'hardware',
+      run: function(ctx) {
         const dpr = window.devicePixelRatio || 1;
         const width = Math.round(screen.width * dpr);
         const height = Math.round(screen.height * dpr);
         const resolution = `${width}x${height}`;
-        const lookup = lookupMarketShare(SCREEN_RESOLUTION_DATA, resolution);
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.screenResolution;
-          return {
-            value: resolution,
-            message: `Your screen resolution is **${width}×${height}**.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: resolution,
           message: `Your screen resolution is **${width}×${height}**.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: SCREEN_RESOLUTION_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'screenResolution', resolution, BASELINE_ENTROPY.screenResolution)
         };
       }
     },
@@ -655,7 +2669,9 @@
       name: 'Pixel Ratio',
       difficulty: 'medium',
       changeRequires: 'Different display or browser; zoom level may affect this',
-      run: function() {
+      tier: 1,
+      group: 'hardware',
+      run: function(ctx) {
         const rawRatio = window.devicePixelRatio || 1;
         const analysis = analyzePixelRatio(rawRatio);
 
@@ -675,30 +2691,10 @@
           message = `Your display has a **${analysis.displayRatio}x pixel ratio** (${desc}).`;
         }
 
-        if (analysis.matchedBucket) {
-          const lookup = lookupMarketShare(PIXEL_RATIO_DATA, analysis.matchedBucket);
-          if (!lookup.estimated) {
-            return {
-              value: analysis.displayRatio,
-              message: message,
-              lookup: {
-                percent: lookup.percent, source: lookup.source,
-                sourceLabel: PIXEL_RATIO_DATA.sourceLabel, estimated: false,
-                entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-              }
-            };
-          }
-        }
-
-        const baseline = BASELINE_ENTROPY.pixelRatio;
         return {
           value: analysis.displayRatio,
           message: message,
-          lookup: {
-            percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-            estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-            note: baseline.note
-          }
+          lookup: lookupAttribute(ctx.data, 'pixelRatio', analysis.matchedBucket, BASELINE_ENTROPY.pixelRatio)
         };
       }
     },
@@ -707,31 +2703,14 @@
       name: 'Timezone',
       difficulty: 'easy',
       changeRequires: 'OS settings',
-      run: function() {
+      tier: 1,
+      group: 'locale',
+      run: function(ctx) {
         const info = getTimezoneInfo();
-        const lookup = lookupMarketShare(TIMEZONE_DATA, info.raw);
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.timezone;
-          return {
-            value: info.raw,
-            message: `You're in the **${info.timezone}** timezone (${info.offset}).`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: info.raw,
           message: `You're in the **${info.timezone}** timezone (${info.offset}).`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: TIMEZONE_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'timezone', info.raw, BASELINE_ENTROPY.timezone)
         };
       }
     },
@@ -740,33 +2719,16 @@
       name: 'Language',
       difficulty: 'easy',
       changeRequires: 'Browser settings',
-      run: function() {
+      tier: 1,
+      group: 'locale',
+      run: function(ctx) {
         const lang = navigator.language;
         const langs = navigator.languages ? navigator.languages.length : 1;
         const extra = langs > 1 ? ` (with ${langs} language preferences)` : '';
-        const lookup = lookupMarketShare(LANGUAGE_DATA, lang);
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.language;
-          return {
-            value: lang,
-            message: `Your primary language is **${lang}**${extra}.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: lang,
           message: `Your primary language is **${lang}**${extra}.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: LANGUAGE_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'language', lang, BASELINE_ENTROPY.language)
         };
       }
     },
@@ -775,31 +2737,14 @@
       name: 'Platform',
       difficulty: 'medium',
       changeRequires: 'Browser extension',
-      run: function() {
+      tier: 1,
+      group: 'software',
+      run: function(ctx) {
         const platform = navigator.platform;
-        const lookup = lookupMarketShare(PLATFORM_DATA, platform);
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.platform;
-          return {
-            value: platform,
-            message: `Your platform reports as **${platform}**.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: platform,
           message: `Your platform reports as **${platform}**.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: PLATFORM_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'platform', platform, BASELINE_ENTROPY.platform)
         };
       }
     },
@@ -808,33 +2753,17 @@
       name: 'Browser/OS',
       difficulty: 'medium',
       changeRequires: 'Browser extension',
-      run: function() {
+      tier: 1,
+      group: 'software',
+      run: async function(ctx) {
         const ua = navigator.userAgent;
-        const parsed = parseUserAgent(ua);
+        const parsed = parseUserAgent(ua, await getClientHints());
         const browserName = parsed.browser.split(' ')[0];
-        const lookup = lookupMarketShare(BROWSER_DATA, browserName);
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.userAgent;
-          return {
-            value: ua,
-            message: `You're running **${parsed.browser}** on **${parsed.os}**.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
+        const reducedNote = parsed.reduced ? ' Your browser freezes part of this string, so the real OS version is hidden from it.' : '';
         return {
           value: ua,
-          message: `You're running **${parsed.browser}** on **${parsed.os}**.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: BROWSER_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          message: `You're running **${parsed.browser}** on **${parsed.os}**.${reducedNote}`,
+          lookup: lookupAttribute(ctx.data, 'browser', browserName, BASELINE_ENTROPY.userAgent)
         };
       }
     },
@@ -843,7 +2772,9 @@
       name: 'Do Not Track',
       difficulty: 'easy',
       changeRequires: 'Browser settings',
-      run: function() {
+      tier: 1,
+      group: 'software',
+      run: function(ctx) {
         const dnt = navigator.doNotTrack;
         let status, irony;
         if (dnt === '1') {
@@ -858,16 +2789,110 @@
         }
 
         const lookupKey = dnt === '1' ? '1' : (dnt === '0' ? '0' : 'null');
-        const lookup = lookupMarketShare(DNT_DATA, lookupKey);
 
         return {
           value: dnt,
           message: `Your Do Not Track setting is **${status}**.` + (irony ? ' ' + irony : ''),
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: DNT_DATA.sourceLabel, estimated: lookup.estimated,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
+          lookup: lookupAttribute(ctx.data, 'doNotTrack', lookupKey)
+        };
+      }
+    },
+
+    /** Cookies: read from navigator.cookieEnabled, so no cookie is set or read */
+    cookies: {
+      name: 'Cookies',
+      difficulty: 'easy',
+      changeRequires: 'Browser settings',
+      tier: 1,
+      group: 'software',
+      run: function() {
+        const enabled = navigator.cookieEnabled === true;
+        // Accepting cookies says nothing; blocking them is what stands out
+        const baseline = enabled ? BASELINE_ENTROPY.cookiesEnabled : BASELINE_ENTROPY.cookiesDisabled;
+        return {
+          value: enabled,
+          message: enabled
+            ? 'Your browser **accepts cookies**, like nearly every browser.'
+            : 'Your browser **blocks cookies**, which very few people do.',
+          lookup: baselineLookup(baseline)
+        };
+      }
+    },
+
+    /**
+     * Storage: whether Web Storage, IndexedDB and Cache Storage are available.
+     * Only their presence is checked; nothing is written. Blocked storage
+     * throws on access. Cache Storage only exists on HTTPS pages, so elsewhere
+     * it is recorded as null rather than missing.
+     */
+    storage: {
+      name: 'Storage',
+      difficulty: 'easy',
+      changeRequires: 'Browser settings',
+      tier: 1,
+      group: 'software',
+      run: function() {
+        // Cache Storage is left out of insecure pages by design, not by the user
+        const insecure = window.isSecureContext === false;
+        const value = {};
+        for (const api of Object.keys(STORAGE_APIS)) {
+          if (api === 'caches' && insecure) {
+            value[api] = null;
+            continue;
+          }
+          try {
+            value[api] = !!window[api];
+          } catch (e) {
+            value[api] = false;
           }
+        }
+        const missing = Object.keys(STORAGE_APIS).filter(api => value[api] === false).map(api => STORAGE_APIS[api]);
+        const insecureNote = insecure ? ' Cache Storage is unavailable because this page isn\'t served over HTTPS.' : '';
+        const baseline = BASELINE_ENTROPY.localStorage;
+        return {
+          value: value,
+          message: (missing.length === 0
+            ? `Your browser offers **every kind of site storage** (${Object.keys(STORAGE_APIS).filter(api => value[api]).map(api => STORAGE_APIS[api]).join(', ')}).`
+            : `Your browser offers site storage, except **${missing.slice(0, -1).join(', ')}${missing.length > 1 ? ' and ' : ''}${missing[missing.length - 1]}**.`) +
+            insecureNote,
+          lookup: baselineLookup(baseline)
+        };
+      }
+    },
+
+    /**
+     * Plugins: navigator.plugins and navigator.mimeTypes. Browsers now report
+     * either nothing or a fixed list of PDF viewers; anything else stands out.
+     */
+    plugins: {
+      name: 'Plugins',
+      difficulty: 'medium',
+      changeRequires: 'Browser settings or a different browser',
+      tier: 1,
+      group: 'software',
+      run: function() {
+        if (!navigator.plugins) return null;
+        const plugins = Array.from(navigator.plugins, plugin => plugin.name);
+        const mimeTypes = navigator.mimeTypes ? Array.from(navigator.mimeTypes, mime => mime.type) : [];
+        const pdfViewer = typeof navigator.pdfViewerEnabled === 'boolean'
+          ? navigator.pdfViewerEnabled
+          : mimeTypes.includes('application/pdf');
+
+        let message;
+        if (plugins.length === 0) {
+          message = 'Your browser lists **no plugins**';
+        } else if (plugins.every(name => PDF_PLUGINS.includes(name))) {
+          message = `Your browser lists the **${plugins.length} standard PDF viewer plugins**`;
+        } else {
+          message = `Your browser lists **${plugins.length} plugins**: ${plugins.join(', ')}`;
+        }
+        message += pdfViewer ? ', and opens PDFs itself.' : ', and downloads PDFs instead of showing them.';
+
+        const baseline = BASELINE_ENTROPY.plugins;
+        return {
+          value: { plugins: plugins, mimeTypes: mimeTypes, pdfViewer: pdfViewer },
+          message: message,
+          lookup: baselineLookup(baseline)
         };
       }
     },
@@ -878,33 +2903,16 @@
       name: 'CPU Cores',
       difficulty: 'hard',
       changeRequires: 'Different device',
-      run: function() {
+      tier: 2,
+      group: 'hardware',
+      run: function(ctx) {
         const cores = navigator.hardwareConcurrency;
         if (!cores) return null;
 
-        const lookup = lookupMarketShare(CPU_CORES_DATA, String(cores));
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.cpuCores;
-          return {
-            value: cores,
-            message: `Your device has **${cores} CPU cores**.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: cores,
           message: `Your device has **${cores} CPU cores**.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: CPU_CORES_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'cpuCores', String(cores), BASELINE_ENTROPY.cpuCores)
         };
       }
     },
@@ -913,33 +2921,16 @@
       name: 'Device Memory',
       difficulty: 'hard',
       changeRequires: 'Different device',
-      run: function() {
+      tier: 2,
+      group: 'hardware',
+      run: function(ctx) {
         const mem = navigator.deviceMemory;
         if (!mem) return null;
 
-        const lookup = lookupMarketShare(DEVICE_MEMORY_DATA, String(mem));
-
-        if (lookup.estimated) {
-          const baseline = BASELINE_ENTROPY.deviceMemory;
-          return {
-            value: mem,
-            message: `Your device reports **${mem}GB of RAM**.`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
-          };
-        }
-
         return {
           value: mem,
           message: `Your device reports **${mem}GB of RAM**.`,
-          lookup: {
-            percent: lookup.percent, source: lookup.source,
-            sourceLabel: DEVICE_MEMORY_DATA.sourceLabel, estimated: false,
-            entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-          }
+          lookup: lookupAttribute(ctx.data, 'deviceMemory', String(mem), BASELINE_ENTROPY.deviceMemory)
         };
       }
     },
@@ -948,6 +2939,8 @@
       name: 'Touch Support',
       difficulty: 'hard',
       changeRequires: 'Different device',
+      tier: 2,
+      group: 'hardware',
       run: function() {
         const points = navigator.maxTouchPoints || 0;
         let desc = points === 0 ? 'no touch support (desktop)' :
@@ -957,11 +2950,7 @@
         return {
           value: points,
           message: `Your device has **${desc}**.`,
-          lookup: {
-            percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-            estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-            note: baseline.note
-          }
+          lookup: baselineLookup(baseline)
         };
       }
     },
@@ -970,6 +2959,8 @@
       name: 'Connection Type',
       difficulty: 'medium',
       changeRequires: 'Different network',
+      tier: 2,
+      group: 'software',
       run: function() {
         const conn = navigator.connection;
         if (!conn || !conn.effectiveType) return null;
@@ -978,11 +2969,251 @@
         return {
           value: conn.effectiveType,
           message: `Your connection type is **${conn.effectiveType.toUpperCase()}**.`,
-          lookup: {
-            percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-            estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-            note: baseline.note
+          lookup: baselineLookup(baseline)
+        };
+      }
+    },
+
+    /**
+     * CSS media features: display capabilities, input devices and accessibility
+     * preferences, read through matchMedia. Each feature keeps its own
+     * difficulty in the end-screen report.
+     */
+    mediaFeatures: {
+      name: 'Media Features',
+      difficulty: 'easy',
+      changeRequires: 'OS settings or a different display/device',
+      tier: 2,
+      group: 'software',
+      run: function() {
+        if (!window.matchMedia) return null;
+
+        const value = {};
+        const parts = [];
+        for (const item of MEDIA_FEATURES) {
+          const matched = item.values.find(v => {
+            const query = item.queries ? item.queries[v] : `(${item.feature}: ${v})`;
+            return window.matchMedia(query).matches;
+          });
+          if (matched === undefined) continue;   // Feature not supported
+          value[item.feature] = matched;
+
+          let percent;
+          if (item.expected) {
+            const implied = item.expected[value.pointer];
+            percent = implied === undefined || implied === matched ? 100 : item.unexpectedPercent;
+          } else {
+            percent = item.percent[matched];
+          }
+          parts.push({
+            id: item.feature,
+            name: `Media: ${item.feature}`,
+            difficulty: item.difficulty,
+            changeRequires: item.changeRequires,
+            value: matched,
+            entropy: percentToEntropy(percent),
+            source: item.source,
+            sourceLabel: item.sourceLabel
+          });
+        }
+        if (parts.length === 0) return null;
+
+        const entropy = parts.reduce((sum, part) => sum + part.entropy, 0);
+        // Values under 10% are the identifying ones; name those
+        const rare = parts.filter(part => part.entropy > percentToEntropy(10));
+        const sensitive = rare.some(part => MEDIA_FEATURES.find(item => item.feature === part.id).accessibility);
+        const baseline = BASELINE_ENTROPY.mediaFeatures;
+
+        return {
+          value: value,
+          parts: parts,
+          message: (rare.length
+            ? `Your media features stand out: ${rare.map(part => `**${part.id}: ${part.value}**`).join(', ')}.`
+            : `Your media features are **common** across ${parts.length} checks.`) +
+            (sensitive ? ' Accessibility settings are sensitive: they can hint at a disability, and any site can read them.' : ''),
+          lookup: baselineLookup(baseline, entropy)
+        };
+      }
+    },
+
+    /**
+     * User-Agent Client Hints: the details Chromium removed from the user agent
+     * string (OS version, architecture, device model, full browser versions)
+     * are still one promise away.
+     */
+    clientHints: {
+      name: 'Client Hints',
+      difficulty: 'medium',
+      changeRequires: 'Different browser, OS version or device',
+      tier: 2,
+      group: 'software',
+      run: async function() {
+        const hints = await getClientHints();
+        if (!hints) return null;
+
+        const baseline = BASELINE_ENTROPY.clientHints;
+        const value = {};
+        let entropy = 0;
+        for (const field of CLIENT_HINTS.concat(['platform', 'mobile'])) {
+          const hint = hints[field];
+          if (hint === undefined || hint === '' || (Array.isArray(hint) && hint.length === 0)) continue;
+          value[field] = hint;
+          if (hint) entropy += baseline.fields[field] || 0;
+        }
+
+        const details = [];
+        if (value.platformVersion) details.push(`${value.platform || 'OS'} version **${value.platformVersion}**`);
+        if (value.architecture) details.push(`a **${value.architecture}${value.bitness ? '-' + value.bitness : ''}** CPU`);
+        if (value.model) details.push(`device model **${value.model}**`);
+        if (value.fullVersionList) {
+          const brand = value.fullVersionList.find(b => CLIENT_HINT_BRANDS[b.brand]) || value.fullVersionList[0];
+          if (brand) details.push(`${brand.brand} **${brand.version}**`);
+        }
+
+        return {
+          value: value,
+          message: details.length
+            ? `Your browser hands out details its user agent hides: ${details.join(', ')}.`
+            : 'Your browser supports client hints but withholds the high-entropy details.',
+          lookup: baselineLookup(baseline, entropy)
+        };
+      }
+    },
+
+    /**
+     * Intl: the locale the browser formats with, its resolved options and
+     * sample outputs. Regional settings customized in the OS (a 24-hour clock
+     * with en-US, say) move these away from the locale's defaults.
+     */
+    intl: {
+      name: 'Locale Formatting',
+      difficulty: 'medium',
+      changeRequires: 'OS regional settings or browser language',
+      tier: 2,
+      group: 'locale',
+      run: function() {
+        if (typeof Intl === 'undefined' || !Intl.DateTimeFormat || !Intl.NumberFormat) return null;
+
+        const dateTime = new Intl.DateTimeFormat(undefined, { hour: 'numeric' }).resolvedOptions();
+        const collator = Intl.Collator ? new Intl.Collator().resolvedOptions() : {};
+        const resolved = {
+          locale: dateTime.locale,
+          calendar: dateTime.calendar,
+          numberingSystem: dateTime.numberingSystem,
+          hourCycle: dateTime.hourCycle,
+          numberLocale: new Intl.NumberFormat().resolvedOptions().locale,
+          collatorLocale: collator.locale,
+          collation: collator.collation,
+          pluralLocale: Intl.PluralRules ? new Intl.PluralRules().resolvedOptions().locale : undefined
+        };
+
+        // Defaults of the browser language, and of the formatting locale without
+        // its -u- extensions; anything else was changed in the OS
+        const localeTag = resolved.locale.split('-u-')[0];
+        let languageTag = localeTag;
+        try {
+          languageTag = new Intl.DateTimeFormat(navigator.language).resolvedOptions().locale.split('-u-')[0];
+        } catch (e) {
+          // Malformed navigator.language; nothing to compare against
+        }
+        const plain = new Intl.DateTimeFormat(localeTag, { hour: 'numeric' }).resolvedOptions();
+        const expected = {
+          locale: languageTag,
+          calendar: plain.calendar,
+          numberingSystem: plain.numberingSystem,
+          hourCycle: plain.hourCycle,
+          collation: Intl.Collator ? new Intl.Collator(localeTag).resolvedOptions().collation : undefined
+        };
+        const actual = Object.assign({}, resolved, { locale: localeTag });
+        const customized = Object.keys(INTL_CUSTOMIZATIONS).filter(key =>
+          actual[key] !== undefined && expected[key] !== undefined && actual[key] !== expected[key]);
+
+        const supported = {};
+        if (Intl.supportedValuesOf) {
+          for (const key of INTL_SUPPORTED_KEYS) {
+            try {
+              supported[key] = Intl.supportedValuesOf(key).length;
+            } catch (e) {
+              // Key not supported by this engine
+            }
           }
+        }
+
+        // UTC keeps the timezone, measured separately, out of the sample outputs
+        const date = new Date(INTL_SAMPLE_DATE);
+        const samples = {
+          date: new Intl.DateTimeFormat(undefined, {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric', timeZone: 'UTC', timeZoneName: 'short'
+          }).format(date),
+          shortDate: new Intl.DateTimeFormat(undefined, { timeZone: 'UTC' }).format(date),
+          number: new Intl.NumberFormat().format(INTL_SAMPLE_NUMBER),
+          currency: new Intl.NumberFormat(undefined, { style: 'currency', currency: 'EUR' }).format(INTL_SAMPLE_NUMBER),
+          compact: new Intl.NumberFormat(undefined, { notation: 'compact' }).format(INTL_SAMPLE_NUMBER),
+          sorted: Intl.Collator ? ['a', 'Z', 'ä', 'é', 'ch', 'ß'].sort(new Intl.Collator().compare).join(' ') : null
+        };
+
+        const value = {
+          languages: navigator.languages ? Array.from(navigator.languages) : [navigator.language],
+          resolved: resolved,
+          customized: customized,
+          supported: supported,
+          samples: samples
+        };
+        const baseline = BASELINE_ENTROPY.intl;
+        const entropy = baseline.bits + customized.length * percentToEntropy(baseline.customizedPercent);
+        const clock = /^h2[34]$/.test(resolved.hourCycle) ? '24-hour clock' : resolved.hourCycle ? '12-hour clock' : null;
+        const options = [`${resolved.calendar} calendar`, `${resolved.numberingSystem} digits`, clock].filter(Boolean).join(', ');
+        const samplesHash = md5(JSON.stringify(samples));
+
+        return {
+          value: value,
+          message: (customized.length
+            ? `Your browser formats for **${localeTag}** (${options}), but your regional settings change its defaults: ${customized.map(key => `**${key === 'hourCycle' ? clock : INTL_CUSTOMIZATIONS[key] + ' ' + actual[key]}**`).join(', ')}. Few people do this.`
+            : `Your browser formats for **${localeTag}** (${options}), the defaults for your language.`) +
+            ` Sample output: <code class="foundprint-inline-hash">${samplesHash}</code>.`,
+          lookup: baselineLookup(baseline, entropy)
+        };
+      }
+    },
+
+    /**
+     * Feature surface: which of a curated set of JavaScript, DOM, navigator and
+     * CSS features exist. The bitmap pins down the browser build and its
+     * flags, and the features' release versions bound the browser version.
+     */
+    featureSurface: {
+      name: 'Feature Surface',
+      difficulty: 'hard',
+      changeRequires: 'Different browser version or flags',
+      tier: 2,
+      group: 'software',
+      run: async function() {
+        const bitmap = FEATURE_SURFACE.map(feature => hasFeature(feature[0]) ? '1' : '0').join('');
+        const versions = {};
+        FEATURE_ENGINES.forEach((engine, i) => { versions[engine] = featureVersionRange(bitmap, i + 1); });
+
+        const browser = parseUserAgent(navigator.userAgent, await getClientHints()).browser;
+        const mismatch = featureVersionMismatch(versions, browser);
+        const engine = FEATURE_BROWSERS[browser.split(' ')[0]];
+        const fits = (engine ? [engine] : FEATURE_ENGINES).filter(name => versions[name]);
+        let versionNote;
+        if (mismatch) {
+          versionNote = mismatch;
+        } else if (fits.length > 0) {
+          versionNote = `They fit ${fits.map(name => `**${describeVersionRange(name, versions[name])}**`).join(' or ')}.`;
+        } else {
+          versionNote = 'They fit no Chromium, Firefox or Safari release.';
+        }
+
+        const count = bitmap.split('').filter(bit => bit === '1').length;
+        const bitmapHash = md5(bitmap);
+        const baseline = BASELINE_ENTROPY.featureSurface;
+
+        return {
+          value: { bitmap: bitmap, count: count, versions: versions },
+          message: `Your browser supports **${count} of ${FEATURE_SURFACE.length}** checked features (<code class="foundprint-inline-hash">${bitmapHash}</code>). ${versionNote}`,
+          lookup: baselineLookup(baseline)
         };
       }
     },
@@ -990,6 +3221,52 @@
     // TIER 3: FINGERPRINTING TECHNIQUES
     // These exploit rendering/processing differences across browsers and hardware
 
+    /**
+     * Speech synthesis voices: the installed text-to-speech voices reveal the
+     * OS version, language packs and third-party speech software.
+     */
+    speechVoices: {
+      name: 'Speech Voices',
+      difficulty: 'medium',
+      changeRequires: 'Install/remove voices or language packs',
+      tier: 3,
+      group: 'locale',
+      run: async function() {
+        if (!window.speechSynthesis) return null;
+        const voices = await this.loadVoices();
+        if (voices.length === 0) return null;
+
+        const list = voices.map(v => ({ name: v.name, lang: v.lang, local: v.localService, default: v.default }));
+        const local = list.filter(v => v.local).length;
+        const languages = new Set(list.map(v => v.lang.split(/[-_]/)[0]));
+        const voicesHash = md5(JSON.stringify(list));
+        const baseline = BASELINE_ENTROPY.speechVoices;
+
+        return {
+          value: list,
+          message: `Your browser offers **${list.length} speech voices** (${local} local, ${list.length - local} remote) covering **${languages.size} languages** (<code class="foundprint-inline-hash">${voicesHash}</code>).`,
+          lookup: baselineLookup(baseline)
+        };
+      },
+
+      /** Voices load asynchronously in most browsers; wait for voiceschanged, up to a limit */
+      loadVoices: function() {
+        const synth = window.speechSynthesis;
+        const voices = synth.getVoices();
+        if (voices.length > 0) return Promise.resolve(voices);
+
+        return new Promise((resolve) => {
+          const finish = () => {
+            clearTimeout(timer);
+            synth.removeEventListener('voiceschanged', finish);
+            resolve(synth.getVoices());
+          };
+          const timer = setTimeout(finish, VOICES_TIMEOUT);
+          synth.addEventListener('voiceschanged', finish);
+        });
+      }
+    },
+
     /**
      * Canvas fingerprinting: Draw shapes/text on invisible canvas, then hash the
      * pixel data. Tiny GPU/driver/font differences create unique results.
@@ -998,47 +3275,34 @@
       name: 'Canvas Fingerprint',
       difficulty: 'hard',
       changeRequires: 'Different browser/GPU, or disable via extension',
-      run: function() {
+      tier: 3,
+      group: 'rendering',
+      run: function(runCtx) {
         try {
-          const canvas = document.createElement('canvas');
-          canvas.width = 280;
-          canvas.height = 60;
-          const ctx = canvas.getContext('2d');
-          if (!ctx) return null;
-
-          // Draw test shapes that reveal rendering differences
-          ctx.fillStyle = '#f60';
-          ctx.fillRect(125, 1, 62, 20);
-          ctx.textBaseline = 'alphabetic';
-          ctx.fillStyle = '#069';
-          ctx.font = '14px "Times New Roman"';
-          ctx.fillText('Cwm fjordbank glyphs vext quiz', 2, 15);
-          ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
-          ctx.font = '18px Arial';
-          ctx.fillText('FOUNDprint test', 4, 45);
-
-          // Overlapping circles with multiply blend mode
-          ctx.globalCompositeOperation = 'multiply';
-          const colors = [['#f2f', 40, 40], ['#2ff', 80, 40], ['#ff2', 60, 60]];
-          for (const [color, x, y] of colors) {
-            ctx.fillStyle = color;
-            ctx.beginPath();
-            ctx.arc(x, y, 25, 0, Math.PI * 2);
-            ctx.fill();
+          const samples = [];
+          for (let i = 0; i < RANDOMIZATION_SAMPLES; i++) {
+            const dataUrl = renderCanvasScene();
+            if (!dataUrl) return null;
+            samples.push(dataUrl);
+          }
+          const randomization = classifyRandomization(samples, canvasKnownAnswerMatches());
+
+          if (randomization !== 'stable') {
+            return {
+              value: { randomization: randomization },
+              message: `Your browser **${RANDOMIZATION_DESCRIPTIONS[randomization]}** on canvas output. That can't link your visits, but a randomizer is itself a rare trait.`,
+              lookup: randomizedLookup(runCtx)
+            };
           }
 
-          const dataUrl = canvas.toDataURL();
+          const dataUrl = samples[0];
           const canvasHash = md5(dataUrl);
           const baseline = BASELINE_ENTROPY.canvas;
 
           return {
             value: dataUrl,
             message: `Your browser renders invisible test shapes in a **unique way** (<code class="foundprint-inline-hash">${canvasHash}</code>).`,
-            lookup: {
-              percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-              estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-              note: baseline.note
-            }
+            lookup: baselineLookup(baseline)
           };
         } catch (e) {
           return null;
@@ -1050,68 +3314,234 @@
       name: 'WebGL',
       difficulty: 'hard',
       changeRequires: 'Different GPU, or disable in browser settings',
-      run: function() {
+      tier: 3,
+      group: 'rendering',
+      run: function(ctx) {
         try {
           const canvas = document.createElement('canvas');
           const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
           if (!gl) return null;
 
           const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+          const renderer = gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+          const vendor = debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null;
+
+          // Release the context before the readback probe opens more; browsers
+          // cap live contexts and would evict the host page's own
+          const loseContext = gl.getExtension('WEBGL_lose_context');
+          if (loseContext) loseContext.loseContext();
+
           const rendererBaseline = BASELINE_ENTROPY.webglRenderer;
           const vendorBaseline = BASELINE_ENTROPY.webglVendor;
 
+          // The renderer string stays linkable even when pixel readback is
+          // randomized, so a randomizer adds its bits on top
+          const randomization = webglReadbackRandomization();
+          const randomized = randomization !== 'stable';
+          const extraBits = randomized ? randomizationBits(ctx) : 0;
+          const randomizedNote = randomized ? ` Your browser also **${RANDOMIZATION_DESCRIPTIONS[randomization]}** on WebGL pixels.` : '';
+
           if (!debugInfo) {
-            const renderer = gl.getParameter(gl.RENDERER);
+            const bits = rendererBaseline.bits * 0.5 + extraBits;
             return {
-              value: renderer,
-              message: `Your graphics renderer is **${renderer}**.`,
-              lookup: {
-                percent: null, source: rendererBaseline.source,
-                sourceLabel: rendererBaseline.sourceLabel, estimated: true,
-                entropy: rendererBaseline.bits * 0.5, oneInX: Math.pow(2, rendererBaseline.bits * 0.5),
+              value: randomized ? { renderer: renderer, randomization: randomization } : renderer,
+              message: `Your graphics renderer is **${renderer}**.${randomizedNote}`,
+              lookup: Object.assign(baselineLookup(rendererBaseline, bits), {
                 note: 'Reduced entropy - WebGL debug info not available'
-              }
+              })
             };
           }
 
-          const vendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
-          const renderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
-
           let cleanRenderer = renderer;
           if (renderer.includes('ANGLE')) {
             const match = renderer.match(/ANGLE \([^,]+, ([^,]+)/);
             if (match) cleanRenderer = match[1].trim();
           }
 
-          const lookup = lookupMarketShare(GPU_DATA, renderer);
-
-          if (!lookup.estimated) {
+          // GPUs missing from the table count as both renderer and vendor baselines
+          const combinedBaseline = Object.assign({}, rendererBaseline, {
+            bits: rendererBaseline.bits + vendorBaseline.bits
+          });
+          const lookup = lookupAttribute(ctx.data, 'gpu', renderer, combinedBaseline);
+          if (randomized) {
+            lookup.extraBits = extraBits;
+            lookup.entropy += extraBits;
+            lookup.oneInX *= Math.pow(2, extraBits);
+          }
+          return {
+            value: randomized ? { vendor, renderer, randomization } : { vendor, renderer },
+            message: `Your graphics card is **${cleanRenderer}**.${randomizedNote}`,
+            lookup: lookup
+          };
+        } catch (e) {
+          return null;
+        }
+      }
+    },
+
+    /**
+     * WebGL capabilities: supported extensions, implementation limits and shader
+     * precision, for WebGL and WebGL2. These still differ by GPU and driver when
+     * the renderer string is masked.
+     */
+    webglCapabilities: {
+      name: 'WebGL Capabilities',
+      difficulty: 'hard',
+      changeRequires: 'Different GPU/driver or browser',
+      tier: 3,
+      group: 'rendering',
+      run: function() {
+        try {
+          const gl = document.createElement('canvas').getContext('webgl');
+          if (!gl) return null;
+          const gl2 = document.createElement('canvas').getContext('webgl2');
+
+          const webgl = this.read(gl, WEBGL_PARAMETERS);
+          const webgl2 = gl2 ? this.read(gl2, WEBGL_PARAMETERS.concat(WEBGL2_PARAMETERS)) : null;
+          for (const context of [gl, gl2]) {
+            const loseContext = context && context.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+          }
+
+          const extensions = new Set(webgl.extensions.concat(webgl2 ? webgl2.extensions : []));
+          const limits = Object.keys(Object.assign({}, webgl.parameters, webgl2 && webgl2.parameters)).length;
+          const value = { webgl: webgl, webgl2: webgl2 };
+          const capabilityHash = md5(JSON.stringify(value));
+          const baseline = BASELINE_ENTROPY.webglCapabilities;
+
+          return {
+            value: value,
+            message: `Your GPU exposes **${extensions.size} extensions** and **${limits} distinct limits**${webgl2 ? ' across WebGL and WebGL2' : ''} (<code class="foundprint-inline-hash">${capabilityHash}</code>).`,
+            lookup: baselineLookup(baseline)
+          };
+        } catch (e) {
+          return null;
+        }
+      },
+
+      /** Sorted extensions, the given numeric limits and shader precision formats of a context */
+      read: function(gl, parameterNames) {
+        const parameters = {};
+        for (const name of parameterNames) {
+          const value = gl.getParameter(gl[name]);
+          if (value === null || value === undefined) continue;
+          // Ranges and dimensions come back as typed arrays
+          parameters[name] = typeof value === 'object' ? Array.from(value) : value;
+        }
+        const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic');
+        if (anisotropic) {
+          parameters.MAX_TEXTURE_MAX_ANISOTROPY_EXT = gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+        }
+
+        const precision = {};
+        for (const shader of ['VERTEX_SHADER', 'FRAGMENT_SHADER']) {
+          for (const type of SHADER_PRECISION_TYPES) {
+            const format = gl.getShaderPrecisionFormat(gl[shader], gl[type]);
+            if (format) precision[`${shader}.${type}`] = [format.rangeMin, format.rangeMax, format.precision];
+          }
+        }
+
+        return {
+          extensions: (gl.getSupportedExtensions() || []).slice().sort(),
+          parameters: parameters,
+          precision: precision
+        };
+      }
+    },
+
+    /**
+     * WebGL scene: draw a fixed shaded, blended, anti-aliased 3D scene and hash
+     * the pixels. Rasterization differs by GPU and driver, and this still works
+     * when the renderer string is hidden.
+     */
+    webglScene: {
+      name: 'WebGL Scene',
+      difficulty: 'hard',
+      changeRequires: 'Different GPU/driver, or disable WebGL',
+      tier: 3,
+      group: 'rendering',
+      run: function(ctx) {
+        try {
+          const samples = [];
+          for (let i = 0; i < RANDOMIZATION_SAMPLES; i++) {
+            const pixels = this.render();
+            if (!pixels) return null;
+            samples.push(md5(pixels));
+          }
+          const randomization = classifyRandomization(samples, webglReadbackRandomization() === 'stable');
+
+          if (randomization !== 'stable') {
             return {
-              value: { vendor, renderer },
-              message: `Your graphics card is **${cleanRenderer}**.`,
-              lookup: {
-                percent: lookup.percent, source: lookup.source,
-                sourceLabel: GPU_DATA.sourceLabel, estimated: false,
-                entropy: percentToEntropy(lookup.percent),
-                oneInX: percentToOneInX(lookup.percent), note: GPU_DATA.note
-              }
+              value: { randomization: randomization },
+              message: `Your browser **${RANDOMIZATION_DESCRIPTIONS[randomization]}** on rendered WebGL scenes. That can't link your visits, but a randomizer is itself a rare trait.`,
+              lookup: randomizedLookup(ctx)
             };
           }
 
-          const combinedEntropy = rendererBaseline.bits + vendorBaseline.bits;
+          const baseline = BASELINE_ENTROPY.webglScene;
           return {
-            value: { vendor, renderer },
-            message: `Your graphics card is **${cleanRenderer}**.`,
-            lookup: {
-              percent: null, source: rendererBaseline.source,
-              sourceLabel: rendererBaseline.sourceLabel, estimated: true,
-              entropy: combinedEntropy, oneInX: Math.pow(2, combinedEntropy),
-              note: rendererBaseline.note
-            }
+            value: samples[0],
+            message: `Your GPU rasterizes a test 3D scene into a **distinct image** (<code class="foundprint-inline-hash">${samples[0]}</code>).`,
+            lookup: baselineLookup(baseline)
           };
         } catch (e) {
           return null;
         }
+      },
+
+      /** Draw the scene on a fresh context; returns its pixels as a string, or null */
+      render: function() {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const gl = canvas.getContext('webgl', { antialias: true, preserveDrawingBuffer: true });
+        if (!gl) return null;
+
+        const compile = (type, source) => {
+          const shader = gl.createShader(type);
+          gl.shaderSource(shader, source);
+          gl.compileShader(shader);
+          return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, WEBGL_SCENE_SHADERS.vertex));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, WEBGL_SCENE_SHADERS.fragment));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) return null;
+        gl.useProgram(program);
+
+        // x, y, z, r, g, b, a per vertex: two tilted, overlapping translucent triangles
+        const vertices = new Float32Array([
+          -0.9, -0.8, 0.2, 1.0, 0.2, 0.1, 0.8,
+          0.8, -0.6, -0.4, 0.1, 0.9, 0.3, 0.8,
+          -0.1, 0.9, 0.6, 0.2, 0.3, 1.0, 0.8,
+          -0.7, 0.6, -0.5, 0.9, 0.9, 0.1, 0.6,
+          0.9, 0.7, 0.3, 0.8, 0.1, 0.9, 0.6,
+          0.1, -0.9, -0.2, 0.1, 0.8, 0.9, 0.6
+        ]);
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        const stride = 7 * 4;
+        const position = gl.getAttribLocation(program, 'position');
+        const color = gl.getAttribLocation(program, 'color');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 3, gl.FLOAT, false, stride, 0);
+        gl.enableVertexAttribArray(color);
+        gl.vertexAttribPointer(color, 4, gl.FLOAT, false, stride, 3 * 4);
+
+        gl.viewport(0, 0, size, size);
+        gl.clearColor(0.05, 0.05, 0.1, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        const pixels = new Uint8Array(size * size * 4);
+        gl.readPixels(0, 0, size, size, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+        return pixels.join(',');
       }
     },
 
@@ -1123,52 +3553,36 @@
       name: 'Audio Fingerprint',
       difficulty: 'hard',
       changeRequires: 'Different browser/audio hardware, or disable via extension',
-      run: async function() {
+      tier: 3,
+      group: 'rendering',
+      run: async function(ctx) {
         try {
           const AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
           if (!AudioContext) return null;
 
-          const context = new AudioContext(1, 5000, 44100);
-          const oscillator = context.createOscillator();
-          oscillator.type = 'triangle';
-          oscillator.frequency.value = 10000;
-
-          const compressor = context.createDynamicsCompressor();
-          compressor.threshold.value = -50;
-          compressor.knee.value = 40;
-          compressor.ratio.value = 12;
-          compressor.attack.value = 0;
-          compressor.release.value = 0.25;
+          const samples = [];
+          for (let i = 0; i < RANDOMIZATION_SAMPLES; i++) {
+            samples.push(await renderAudioSignature(AudioContext));
+          }
+          const randomization = classifyRandomization(samples, audioKnownAnswerMatches(AudioContext));
 
-          oscillator.connect(compressor);
-          compressor.connect(context.destination);
-          oscillator.start(0);
+          if (randomization !== 'stable') {
+            return {
+              value: { randomization: randomization },
+              message: `Your browser **${RANDOMIZATION_DESCRIPTIONS[randomization]}** on audio output. That can't link your visits, but a randomizer is itself a rare trait.`,
+              lookup: randomizedLookup(ctx)
+            };
+          }
 
+          const signature = samples[0];
+          const audioHash = md5(String(signature));
           const baseline = BASELINE_ENTROPY.audio;
 
-          return new Promise((resolve) => {
-            context.oncomplete = (event) => {
-              const buffer = event.renderedBuffer.getChannelData(0);
-              let sum = 0;
-              for (let i = 4500; i < 5000; i++) {
-                sum += Math.abs(buffer[i]);
-              }
-              oscillator.disconnect();
-              const signature = Math.round(sum * 10000) / 10000;
-              const audioHash = md5(String(signature));
-
-              resolve({
-                value: signature,
-                message: `Your audio hardware processes sound with a **distinct signature** (<code class="foundprint-inline-hash">${audioHash}</code>).`,
-                lookup: {
-                  percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-                  estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-                  note: baseline.note
-                }
-              });
-            };
-            context.startRendering();
-          });
+          return {
+            value: signature,
+            message: `Your audio hardware processes sound with a **distinct signature** (<code class="foundprint-inline-hash">${audioHash}</code>).`,
+            lookup: baselineLookup(baseline)
+          };
         } catch (e) {
           return null;
         }
@@ -1179,14 +3593,16 @@
       name: 'Installed Fonts',
       difficulty: 'medium',
       changeRequires: 'Install/remove fonts',
-      run: function() {
+      tier: 3,
+      group: 'rendering',
+      run: function(ctx) {
         const baseFonts = ['monospace', 'sans-serif', 'serif'];
         const testString = 'mmmmmmmmmmlli';
         const testSize = '72px';
 
         const holder = document.createElement('div');
         holder.style.cssText = 'position:absolute;left:-9999px;visibility:hidden';
-        document.body.appendChild(holder);
+        ctx.addProbe(holder);
 
         // Measure baseline dimensions
         const baseSizes = {};
@@ -1219,7 +3635,7 @@
           if (found) detected.push(font);
         }
 
-        document.body.removeChild(holder);
+        ctx.removeProbe(holder);
         if (detected.length === 0) return null;
 
         const interesting = detected.filter(f =>
@@ -1238,11 +3654,57 @@
         return {
           value: detected,
           message: `You have **${detected.length} distinctive fonts** installed${highlight}.`,
-          lookup: {
-            percent: null, source: baseline.source, sourceLabel: baseline.sourceLabel,
-            estimated: true, entropy: baseline.bits, oneInX: Math.pow(2, baseline.bits),
-            note: baseline.note
+          lookup: baselineLookup(baseline)
+        };
+      }
+    },
+
+    /**
+     * JavaScript engine: last-bit differences in math functions, error message
+     * wording and stack trace format. Names the engine regardless of what the
+     * user agent claims.
+     */
+    jsEngine: {
+      name: 'JavaScript Engine',
+      difficulty: 'hard',
+      changeRequires: 'Different browser engine',
+      tier: 3,
+      group: 'software',
+      run: function() {
+        const errorMessage = (fn) => {
+          try {
+            fn();
+          } catch (e) {
+            return e.message;
           }
+          return null;
+        };
+        const probe = null;
+        const errors = {
+          nullProperty: errorMessage(() => probe.foundprint),
+          notAFunction: errorMessage(() => probe()),
+          toFixed: errorMessage(() => (1).toFixed(1000)),
+          arrayLength: errorMessage(() => new Array(-1))
+        };
+
+        const math = {};
+        for (const name of Object.keys(MATH_PROBES)) math[name] = String(MATH_PROBES[name]());
+
+        // Only the frame format is kept; URLs and line numbers say nothing about the engine
+        const stack = String(new Error('foundprint').stack || '');
+        const stackFormat = /^\s+at /m.test(stack) ? 'at' : /@/.test(stack) ? '@' : 'none';
+
+        const engine = JS_ENGINES.find(e => e.pattern.test(errors.nullProperty || ''));
+        const value = { engine: engine ? engine.name : 'Unknown', math: math, errors: errors, stackFormat: stackFormat };
+        const mathHash = md5(JSON.stringify(math));
+        const baseline = BASELINE_ENTROPY.jsEngine;
+
+        return {
+          value: value,
+          message: engine
+            ? `Your JavaScript engine is **${engine.name}** (${engine.browsers}), with math signature <code class="foundprint-inline-hash">${mathHash}</code>.`
+            : `Your JavaScript engine is **unrecognized**, with math signature <code class="foundprint-inline-hash">${mathHash}</code>.`,
+          lookup: baselineLookup(baseline)
         };
       }
     },
@@ -1253,12 +3715,14 @@
       name: 'Ad Blocker',
       difficulty: 'easy',
       changeRequires: 'Install/remove extension',
-      run: async function() {
+      tier: 4,
+      group: 'software',
+      run: async function(ctx) {
         const bait = document.createElement('div');
         bait.innerHTML = '&nbsp;';
         bait.className = 'adsbox pub_300x250 pub_728x90 text-ad textAd ad-unit';
         bait.style.cssText = 'width:1px;height:1px;position:absolute;left:-10000px;top:-10000px';
-        document.body.appendChild(bait);
+        ctx.addProbe(bait);
 
         return new Promise((resolve) => {
           setTimeout(() => {
@@ -1266,49 +3730,195 @@
                            bait.offsetParent === null ||
                            getComputedStyle(bait).display === 'none' ||
                            getComputedStyle(bait).visibility === 'hidden';
-            bait.remove();
+            ctx.removeProbe(bait);
 
-            const lookupKey = blocked ? 'true' : 'false';
-            const lookup = lookupMarketShare(AD_BLOCKER_DATA, lookupKey);
+            const lookup = lookupAttribute(ctx.data, 'adBlocker', blocked ? 'true' : 'false');
 
             resolve({
               value: blocked,
               message: blocked
-                ? `You have an **ad blocker installed**. About 42% of users do.`
-                : `You **don't have an ad blocker**. About 58% of users don't either.`,
-              lookup: {
-                percent: lookup.percent, source: AD_BLOCKER_DATA.source,
-                sourceLabel: AD_BLOCKER_DATA.sourceLabel, estimated: false,
-                entropy: percentToEntropy(lookup.percent), oneInX: percentToOneInX(lookup.percent)
-              }
+                ? `You have an **ad blocker installed**. About ${lookup.percent}% of users do.`
+                : `You **don't have an ad blocker**. About ${lookup.percent}% of users don't either.`,
+              lookup: lookup
             });
           }, 100);
         });
       }
+    },
+
+    // TIER 5: CONSISTENCY
+
+    consistency: {
+      name: 'Consistency',
+      difficulty: 'easy',
+      changeRequires: 'Remove or reconfigure spoofing extensions',
+      tier: 5,
+      group: 'software',
+      run: function(ctx) {
+        const observed = observeForConsistency(ctx.results);
+        const checked = [];
+        const lies = [];
+        for (const item of CONSISTENCY_CHECKS) {
+          const detail = item.check(observed);
+          if (detail === undefined) continue;   // Nothing to compare against
+          checked.push(item.id);
+          if (detail) lies.push({ id: item.id, detail: detail, entropy: percentToEntropy(item.percent) });
+        }
+
+        const baseline = BASELINE_ENTROPY.consistency;
+        if (lies.length === 0) {
+          return {
+            value: { checked: checked, lies: lies },
+            message: `Your browser's answers are **consistent** across ${checked.length} cross-checks.`,
+            lookup: baselineLookup(baseline)
+          };
+        }
+
+        // Lies usually come from the same extension, so beyond the rarest one
+        // each extra lie only adds a bit
+        const entropy = Math.max(...lies.map(lie => lie.entropy)) + (lies.length - 1);
+        const names = lies.map(lie => CONSISTENCY_CHECKS.find(item => item.id === lie.id).name.toLowerCase());
+        return {
+          value: { checked: checked, lies: lies },
+          message: `Your browser **contradicts itself** (${names.join('; ')}). Spoofed values that don't add up are rare, and rare is identifying.`,
+          lookup: Object.assign(baselineLookup(baseline, entropy), {
+            note: 'Shares of each inconsistency are estimated; no public dataset'
+          })
+        };
+      }
     }
   };
 
+  // Order in which tests run (and appear in the results)
+  const TEST_ORDER = [
+    'screenResolution', 'pixelRatio', 'timezone', 'language', 'userAgent', 'platform', 'doNotTrack',
+    'cookies', 'storage', 'plugins', 'cpuCores', 'deviceMemory', 'touchSupport', 'adBlocker',
+    'connectionType', 'clientHints', 'mediaFeatures', 'intl', 'featureSurface', 'webgl',
+    'webglCapabilities', 'webglScene', 'fonts', 'speechVoices', 'canvas', 'audio', 'jsEngine',
+    'consistency'
+  ];
+
+  const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+  // Own keys only, so ids like "constructor" aren't mistaken for tests
+  function isRegisteredTest(id) {
+    return Object.prototype.hasOwnProperty.call(tests, id);
+  }
+
+  /**
+   * Register a site-specific test. It runs after the built-in tests of the same
+   * tier and flows through the normal pipeline (result lines, difficulty report,
+   * fingerprint hash). `entropy` is either bits or { bits, source, sourceLabel, note }
+   * and is used when run() doesn't return its own `lookup` or `entropy`.
+   */
+  function registerTest(id, definition) {
+    if (typeof id !== 'string' || !/^[A-Za-z][\w-]*$/.test(id)) {
+      console.error(`FOUNDprint: Invalid test id "${id}" (use letters, digits, "-" or "_")`);
+      return false;
+    }
+    if (isRegisteredTest(id)) {
+      console.error(`FOUNDprint: A test with id "${id}" is already registered`);
+      return false;
+    }
+
+    const def = definition || {};
+    if (typeof def.name !== 'string' || !def.name) {
+      console.error(`FOUNDprint: Test "${id}" needs a name`);
+      return false;
+    }
+    if (typeof def.run !== 'function') {
+      console.error(`FOUNDprint: Test "${id}" needs a run() function`);
+      return false;
+    }
+    if (!DIFFICULTY_LEVELS.includes(def.difficulty)) {
+      console.error(`FOUNDprint: Test "${id}" difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+      return false;
+    }
+
+    const tier = def.tier === undefined ? 4 : def.tier;
+    if (![1, 2, 3, 4, 5].includes(tier)) {
+      console.error(`FOUNDprint: Test "${id}" tier must be 1, 2, 3, 4 or 5`);
+      return false;
+    }
+
+    const group = def.group === undefined ? 'software' : def.group;
+    if (!HASH_GROUPS.includes(group)) {
+      console.error(`FOUNDprint: Test "${id}" group must be one of ${HASH_GROUPS.join(', ')}`);
+      return false;
+    }
+
+    let entropy = null;
+    if (typeof def.entropy === 'number') {
+      entropy = { bits: def.entropy, source: null, sourceLabel: 'Custom test', note: null };
+    } else if (def.entropy && typeof def.entropy.bits === 'number') {
+      entropy = {
+        bits: def.entropy.bits,
+        source: def.entropy.source || null,
+        sourceLabel: def.entropy.sourceLabel || 'Custom test',
+        note: def.entropy.note || null
+      };
+    } else if (def.entropy !== undefined) {
+      console.error(`FOUNDprint: Test "${id}" entropy must be a number of bits or { bits, source }`);
+      return false;
+    }
+    if (entropy && !(entropy.bits >= 0)) {
+      console.error(`FOUNDprint: Test "${id}" entropy bits must be a non-negative number`);
+      return false;
+    }
+
+    tests[id] = {
+      name: def.name,
+      difficulty: def.difficulty,
+      changeRequires: def.changeRequires || 'Unknown',
+      tier: tier,
+      group: group,
+      run: function(ctx) {
+        return def.run.call(def, ctx);
+      },
+      entropy: entropy
+    };
+
+    // Insert after the last test of the same (or a lower) tier
+    let insertAt = 0;
+    TEST_ORDER.forEach((testName, index) => {
+      if (tests[testName].tier <= tier) insertAt = index + 1;
+    });
+    TEST_ORDER.splice(insertAt, 0, id);
+    return true;
+  }
+
+  /** Tests to run for a config: its own list (in that order) or TEST_ORDER */
+  function resolveTestOrder(config) {
+    if (!config.tests) return TEST_ORDER.slice();
+
+    const unknown = config.tests.filter(id => !isRegisteredTest(id));
+    if (unknown.length > 0) {
+      console.error(`FOUNDprint: Unknown test id(s) ${unknown.join(', ')}. Available: ${TEST_ORDER.join(', ')}`);
+    }
+    return config.tests.filter(isRegisteredTest);
+  }
+
   // ==========================================================================
   // SECTION 7: UI RENDERING
   // ==========================================================================
 
   /** Build the initial HTML structure */
-  function createUI(container) {
+  function createUI(container, config) {
     container.innerHTML = `
       <div class="foundprint-header">
         <h1 class="foundprint-title">FOUNDprint</h1>
       </div>
-      <div class="foundprint-disclaimer" id="foundprint-disclaimer">
-        <p class="foundprint-tagline">This experiment demonstrates how identifiable your browser is online—without ever looking at your IP address. Testing is local; nothing is stored or sent. It assumes one browser = one person, and results are <em>purely illustrative</em>. For the curious, review the <a href="${CONFIG.githubUrl}" target="_blank" rel="noopener">source code</a> anytime.</p>
-        <button class="foundprint-start" id="foundprint-start">Start</button>
+      <div class="foundprint-disclaimer">
+        <p class="foundprint-tagline">This experiment demonstrates how identifiable your browser is online—without ever looking at your IP address. Testing is local; nothing is stored or sent. It assumes one browser = one person, and results are <em>purely illustrative</em>. For the curious, review the <a href="${config.githubUrl}" target="_blank" rel="noopener">source code</a> anytime.</p>
+        <button class="foundprint-start">Start</button>
       </div>
-      <div class="foundprint-results" id="foundprint-results" style="display: none;"></div>
-      <div class="foundprint-final" id="foundprint-final" style="display: none;"></div>
-      <div class="foundprint-end" id="foundprint-end" style="display: none;"></div>
+      <div class="foundprint-results" style="display: none;"></div>
+      <div class="foundprint-final" style="display: none;"></div>
+      <div class="foundprint-end" style="display: none;"></div>
       <div class="foundprint-footer">
-        <p>FOUNDprint <a href="${CONFIG.githubUrl}/releases" target="_blank" rel="noopener">v${CONFIG.version}</a> by <a href="${CONFIG.authorUrl}" target="_blank" rel="noopener">Chris Neal</a></p>
-        <p><a href="${CONFIG.githubUrl}" target="_blank" rel="noopener">View on GitHub</a> · <a href="${CONFIG.githubUrl}/blob/main/METHODOLOGY.md" target="_blank" rel="noopener">How It Works</a></p>
-        <p class="foundprint-footer-privacy">NOTE: All project code is <a href="${CONFIG.githubUrl}" target="_blank" rel="noopener">publicly auditable</a>.<br>No data is stored or recorded by this script.</p>
+        <p>FOUNDprint <a href="${config.githubUrl}/releases" target="_blank" rel="noopener">v${config.version}</a> by <a href="${config.authorUrl}" target="_blank" rel="noopener">Chris Neal</a></p>
+        <p><a href="${config.githubUrl}" target="_blank" rel="noopener">View on GitHub</a> · <a href="${config.githubUrl}/blob/main/METHODOLOGY.md" target="_blank" rel="noopener">How It Works</a></p>
+        <p class="foundprint-footer-privacy">NOTE: All project code is <a href="${config.githubUrl}" target="_blank" rel="noopener">publicly auditable</a>.<br>No data is stored or recorded by this script.</p>
       </div>
     `;
   }
@@ -1316,7 +3926,7 @@
   /** Typewriter effect - reveal text character by character */
   async function typewriterReveal(element, html, speed) {
     if (speed === 0) {
-      element.innerHTML = html;
+      element.innerHTML = formatBold(html);
       return;
     }
 
@@ -1347,7 +3957,7 @@
   }
 
   /** Display a test result with animation */
-  async function addResultLine(container, message, testEntropy, oneInX, sourceUrl, isEstimated, totalEntropy, isFirstTest = false, wasAlreadyUnique = false) {
+  async function addResultLine(config, container, record, totalEntropy, isFirstTest = false, wasAlreadyUnique = false) {
     const line = document.createElement('div');
     line.className = 'foundprint-line';
 
@@ -1370,24 +3980,48 @@
       line.classList.add('visible');
     });
 
-    await typewriterReveal(content, message, CONFIG.typewriterSpeed);
+    await typewriterReveal(content, record.message, config.typewriterSpeed);
+
+    const isUnique = renderLineScore(line, record, totalEntropy, isFirstTest, wasAlreadyUnique);
+    await sleep(config.revealDelay);
+    return isUnique;
+  }
 
-    const testFormatted = formatNumber(oneInX);
-    const bitsText = `${testEntropy.toFixed(1)} bits`;
+  /**
+   * Fill in a result line's "1 in X" text and running total. Returns whether
+   * the running total has reached world uniqueness.
+   */
+  function renderLineScore(line, record, totalEntropy, isFirstTest, wasAlreadyUnique) {
+    const testUnique = line.querySelector('.foundprint-test-unique');
+    const count = line.querySelector('.foundprint-count');
+    const sourceUrl = record.source;
+    const testFormatted = formatNumber(record.oneInX);
+    const bitsText = `${record.entropy.toFixed(1)} bits`;
 
     let uniquenessHtml;
-    if (sourceUrl && !isEstimated) {
+    if (sourceUrl && !record.estimated) {
       uniquenessHtml = `You share this with <a href="${sourceUrl}" target="_blank" rel="noopener">1 in ${testFormatted.text}</a> people (${bitsText}).`;
-    } else if (sourceUrl && isEstimated) {
+    } else if (sourceUrl && record.estimated) {
       uniquenessHtml = `You share this with 1 in ${testFormatted.text} people (${bitsText}, <a href="${sourceUrl}" target="_blank" rel="noopener">estimated</a>).`;
     } else {
       uniquenessHtml = `You share this with 1 in ${testFormatted.text} people (${bitsText}, estimated).`;
     }
+
+    if (record.matchedAs) {
+      uniquenessHtml += ` <span class="foundprint-matched" title="${escapeHtml(record.matchedAs.description)}">Matched as ${escapeHtml(record.matchedAs.key)}.</span>`;
+    }
+
+    // Only the new information counts towards the running total
+    if (record.redundancy && record.redundancy.bits >= 0.05) {
+      uniquenessHtml += ` <span class="foundprint-redundancy" title="${escapeHtml(record.redundancy.reason)}">${record.correctedEntropy.toFixed(1)} bits are new after ${escapeHtml(record.redundancy.onName)}.</span>`;
+    }
     testUnique.innerHTML = uniquenessHtml;
 
     const totalUniqueness = entropyToUniqueness(totalEntropy);
     const totalFormatted = formatNumber(totalUniqueness);
 
+    count.className = 'foundprint-count';
+    count.style.fontWeight = '';
     if (totalFormatted.isUnique && !wasAlreadyUnique) {
       count.innerHTML = `<strong>You are now statistically unique among all 8 billion humans on Earth</strong> (1 in ${totalFormatted.text}).`;
       count.classList.add('foundprint-unique');
@@ -1401,26 +4035,56 @@
       count.textContent = `You are now 1 in ${totalFormatted.text} people.`;
     }
 
-    await sleep(CONFIG.revealDelay);
     return totalFormatted.isUnique;
   }
 
-  /** Show the final reveal */
-  async function showFinalReveal(container, successfulTests, totalEntropy, fingerprintHash) {
-    await sleep(CONFIG.dramaticPause);
+  /** Redraw every result line's numbers after the report was re-scored */
+  function refreshResultLines(container, report) {
+    const lines = container.querySelectorAll('.foundprint-line');
+    let totalEntropy = 0;
+    let alreadyUnique = false;
+    report.results.forEach((record, index) => {
+      if (!lines[index]) return;
+      totalEntropy += record.correctedEntropy;
+      const isUnique = renderLineScore(lines[index], record, totalEntropy, index === 0, alreadyUnique);
+      alreadyUnique = alreadyUnique || isUnique;
+    });
+  }
 
-    const uniqueness = entropyToUniqueness(totalEntropy);
-    const formatted = formatNumber(uniqueness);
+  /** Show the final reveal */
+  function showFinalReveal(container, report) {
+    const hashes = report.hashes;
+    const formatted = formatNumber(report.oneInX);
 
     let uniquenessHtml = formatted.isUnique
       ? `<p class="foundprint-uniqueness"><strong>You are unique.</strong></p>`
       : `<p class="foundprint-uniqueness">You are <strong>1 in ${formatted.text}</strong>.</p>`;
 
+    // A privacy browser hides its users among each other, so the global
+    // figure is the wrong question; answer it within that browser's users
+    const privacy = report.privacyBrowser;
+    if (privacy) {
+      const withinSet = formatNumber(privacy.oneInX);
+      uniquenessHtml = `
+        <p class="foundprint-privacy-browser">You appear to be using <strong>${privacy.name}</strong> (${privacy.signals.join('; ')}). Its users share one standardized fingerprint, so your anonymity set is <strong>all ${privacy.name} users</strong> (about ${formatNumber(privacy.users).text}), not everyone online.</p>
+        <p class="foundprint-uniqueness">${privacy.isUnique ? `<strong>You stand out even among them.</strong>` :
+          privacy.oneInX < 2 ? `Among them, you <strong>blend in</strong>.` :
+          `Among them, you are <strong>1 in ${withinSet.text}</strong>.`}</p>
+      `;
+    }
+
+    // Short branch hashes: a tracker can re-link on any branch that didn't change
+    const groupHashesHtml = HASH_GROUPS
+      .filter(group => hashes.groups[group].hash)
+      .map(group => `${group} <code>${hashes.groups[group].hash.slice(0, 8)}</code>`)
+      .join(' · ');
+
     container.innerHTML = `
       <div class="foundprint-final-content">
-        <p class="foundprint-summary">${successfulTests} tests, <strong>${totalEntropy.toFixed(1)} bits</strong> of entropy:</p>
+        <p class="foundprint-summary">${report.results.length} tests, <strong>${report.correctedEntropy.toFixed(1)} bits</strong> of entropy after correcting for related traits (naive sum: ${report.totalEntropy.toFixed(1)} bits):</p>
         ${uniquenessHtml}
-        <p class="foundprint-hash">Fingerprint: <code>${fingerprintHash}</code></p>
+        <p class="foundprint-hash">Fingerprint: <code>${report.fingerprintHash}</code></p>
+        <p class="foundprint-hash-groups">${groupHashesHtml}</p>
         <p class="foundprint-punchline"><strong>Your IP address is the least interesting thing about you.</strong></p>
       </div>
     `;
@@ -1431,22 +4095,35 @@
     });
   }
 
-  /** Show the end state with spoofability report */
-  function showEndState(container, successfulTests, failedTests, completedTests) {
+  /** Show the end state with spoofability report and export panel */
+  function showEndState(config, container, report) {
+    const completedTests = report.results;
+    const failedTests = report.failures.map(f => f.name);
+
     let failedHtml = '';
     if (failedTests.length > 0) {
-      failedHtml = `<p class="foundprint-failed">Unable to detect: ${failedTests.join(', ')}.</p>`;
+      failedHtml = `<p class="foundprint-failed">Unable to detect: ${failedTests.map(escapeHtml).join(', ')}.</p>`;
     }
 
-    const easyTests = completedTests.filter(t => t.difficulty === 'easy');
-    const mediumTests = completedTests.filter(t => t.difficulty === 'medium');
-    const hardTests = completedTests.filter(t => t.difficulty === 'hard');
-
-    const sumEntropy = (tests) => tests.reduce((sum, t) => sum + (t.entropy || 0), 0);
-    const totalEntropy = sumEntropy(completedTests);
+    // Combined tests (media features) are listed per attribute with its own
+    // difficulty; their corrected bits are split in proportion
+    const attributes = completedTests.flatMap(t => !t.parts ? [t] : t.parts.map(part => {
+      const bits = t.entropy > 0 ? t.correctedEntropy * part.entropy / t.entropy : 0;
+      return {
+        id: `${t.id}.${part.id}`, name: part.name, difficulty: part.difficulty,
+        changeRequires: part.changeRequires, entropy: bits, correctedEntropy: bits
+      };
+    }));
+    const easyTests = attributes.filter(t => t.difficulty === 'easy');
+    const mediumTests = attributes.filter(t => t.difficulty === 'medium');
+    const hardTests = attributes.filter(t => t.difficulty === 'hard');
+
+    // Per-test corrected bits add up to the corrected total; the hard-only
+    // figure is re-corrected within that subset
+    const sumEntropy = (tests) => tests.reduce((sum, t) => sum + (t.correctedEntropy || 0), 0);
     const easyEntropy = sumEntropy(easyTests);
     const mediumEntropy = sumEntropy(mediumTests);
-    const hardEntropy = sumEntropy(hardTests);
+    const hardEntropy = correctedEntropyOf(hardTests);
 
     const hardOnlyUniqueness = Math.pow(2, hardEntropy);
     const hardOnlyFormatted = formatNumber(Math.min(hardOnlyUniqueness, WORLD_POPULATION));
@@ -1455,9 +4132,9 @@
       return testsArray.map(t => {
         const difficultyLabel = t.difficulty.charAt(0).toUpperCase() + t.difficulty.slice(1);
         return `<tr>
-          <td>${t.name}</td>
+          <td>${escapeHtml(t.name)}</td>
           <td><span class="foundprint-difficulty foundprint-difficulty-${t.difficulty}">${difficultyLabel}</span></td>
-          <td>${t.changeRequires}</td>
+          <td>${escapeHtml(t.changeRequires)}</td>
         </tr>`;
       }).join('');
     };
@@ -1487,153 +4164,884 @@
         </div>
         <div class="foundprint-entropy-potential">
           <h4 class="foundprint-potential-header">The Hard Truth</h4>
-          <p class="foundprint-potential-row">Even if you changed all <span class="foundprint-difficulty foundprint-difficulty-easy">Easy</span> and <span class="foundprint-difficulty foundprint-difficulty-medium">Medium</span> attributes (−${(easyEntropy + mediumEntropy).toFixed(1)} bits), the <span class="foundprint-difficulty foundprint-difficulty-hard">Hard</span> attributes alone (${hardEntropy.toFixed(1)} bits) still make you <strong>1 in ${hardOnlyFormatted.text}</strong>. <strong>${hardTests.length} of ${completedTests.length}</strong> attributes are difficult or impractical to change for most users. On mobile and embedded/IoT devices with browsers, many of these characteristics are completely fixed and cannot be changed. Disabling JavaScript prevents most fingerprinting, but breaks many websites. Modern fingerprinting scripts also incorporate significantly more tests than the ${completedTests.length} shown here. <a href="https://chris.neal.media/2025/the-vpn-trap/" target="_blank" rel="noopener" title="Read the original blog post that inspired this project">Learn more &raquo;</a></p>
+          <p class="foundprint-potential-row">Even if you changed all <span class="foundprint-difficulty foundprint-difficulty-easy">Easy</span> and <span class="foundprint-difficulty foundprint-difficulty-medium">Medium</span> attributes (−${(easyEntropy + mediumEntropy).toFixed(1)} bits), the <span class="foundprint-difficulty foundprint-difficulty-hard">Hard</span> attributes alone (${hardEntropy.toFixed(1)} bits) still make you <strong>1 in ${hardOnlyFormatted.text}</strong>. <strong>${hardTests.length} of ${attributes.length}</strong> attributes are difficult or impractical to change for most users. On mobile and embedded/IoT devices with browsers, many of these characteristics are completely fixed and cannot be changed. Disabling JavaScript prevents most fingerprinting, but breaks many websites. Modern fingerprinting scripts also incorporate significantly more tests than the ${completedTests.length} shown here. <a href="https://chris.neal.media/2025/the-vpn-trap/" target="_blank" rel="noopener" title="Read the original blog post that inspired this project">Learn more &raquo;</a></p>
         </div>
       </div>
     `;
 
+    const profile = report.profile;
+    const profileOptions = Object.keys(PROFILES).map(id => {
+      const label = PROFILES[id].name + (id === profile.suggested ? ' (suggested)' : '');
+      return `<option value="${id}"${id === profile.id ? ' selected' : ''}>${label}</option>`;
+    }).join('');
+    const profileHtml = `
+      <div class="foundprint-profile">
+        <label class="foundprint-profile-label">Compare me against
+          <select class="foundprint-profile-select">${profileOptions}</select>
+        </label>
+        <p class="foundprint-profile-intro">How rare a trait is depends on who you're compared with. A population suggested by your platform and timezone is used by default; switching re-scores every result above.</p>
+      </div>
+    `;
+
+    // Tier 5 gets its own section: each cross-check, whether it held, and what it costs
+    let consistencyHtml = '';
+    const consistency = completedTests.find(t => t.id === 'consistency');
+    if (consistency) {
+      const { checked, lies } = consistency.value;
+      const rows = CONSISTENCY_CHECKS.map(item => {
+        const lie = lies.find(l => l.id === item.id);
+        const status = lie ? `<strong>Inconsistent</strong> ${escapeHtml(lie.detail)}` :
+                       checked.includes(item.id) ? 'Consistent' : 'Not checked';
+        const bits = lie ? `${lie.entropy.toFixed(1)} bits` : '';
+        return `<tr><td>${item.name}</td><td>${status}</td><td>${bits}</td></tr>`;
+      }).join('');
+      consistencyHtml = `
+        <div class="foundprint-consistency">
+          <h4 class="foundprint-export-header">Consistency Checks</h4>
+          <p class="foundprint-export-intro">Spoofing one attribute often leaves others contradicting it. A browser that lies is easier to single out than one that doesn't.</p>
+          <table class="foundprint-report-table">
+            <thead><tr><th>Check</th><th>Result</th><th>Entropy</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    }
+
     container.innerHTML = `
       <div class="foundprint-end-content">
-        <button class="foundprint-restart" id="foundprint-restart">Run Again</button>
-        <p class="foundprint-source"><a href="${CONFIG.githubUrl}" target="_blank" rel="noopener">View source</a></p>
+        <button class="foundprint-restart">Run Again</button>
+        <p class="foundprint-source"><a href="${config.githubUrl}" target="_blank" rel="noopener">View source</a></p>
+        ${profileHtml}
         ${failedHtml}
         ${reportHtml}
+        ${consistencyHtml}
+        <div class="foundprint-export">
+          <h4 class="foundprint-export-header">Export Your Report</h4>
+          <p class="foundprint-export-intro">Download every raw value, entropy estimate and source. The file is generated in your browser; nothing is uploaded.</p>
+          <button class="foundprint-export-button" data-format="json">JSON</button>
+          <button class="foundprint-export-button" data-format="csv">CSV</button>
+          <button class="foundprint-export-button" data-format="markdown">Markdown</button>
+        </div>
+        <div class="foundprint-compare">
+          <h4 class="foundprint-export-header">Compare With a Previous Run</h4>
+          <p class="foundprint-export-intro">Save a snapshot with the JSON export, change something (switch VPN server, clear cookies, open a private window), then load it back here. The file is read locally and never leaves your browser.</p>
+          <label class="foundprint-compare-drop">
+            Drop a FOUNDprint JSON report here or <span class="foundprint-compare-pick">choose a file</span>
+            <input type="file" class="foundprint-compare-input" accept=".json,application/json">
+          </label>
+          <div class="foundprint-compare-result"></div>
+        </div>
       </div>
     `;
     container.style.display = 'block';
+  }
+
+  // ==========================================================================
+  // SECTION 8: REPORT EXPORT
+  // ==========================================================================
+  // Reports are generated client-side and downloaded through a Blob URL, so
+  // exporting never makes a network request.
+
+  const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json', build: reportToJSON },
+    csv: { extension: 'csv', mimeType: 'text/csv', build: reportToCSV },
+    markdown: { extension: 'md', mimeType: 'text/markdown', build: reportToMarkdown }
+  };
+
+  /** Everything an exported report records about the run and the data behind it */
+  function describeReport(report, config) {
+    return {
+      tool: 'FOUNDprint',
+      version: report.version,
+      url: config.githubUrl,
+      generatedAt: new Date().toISOString(),
+      dataset: report.dataset,
+      profile: report.profile,
+      privacyBrowser: report.privacyBrowser,
+      summary: {
+        tests: report.results.length,
+        failed: report.failures.length,
+        totalEntropy: report.totalEntropy,
+        correctedEntropy: report.correctedEntropy,
+        oneInX: report.oneInX,
+        isUnique: report.isUnique,
+        fingerprintHash: report.fingerprintHash,
+        groupHashes: HASH_GROUPS.reduce((hashes, group) => {
+          hashes[group] = report.hashes.groups[group].hash;
+          return hashes;
+        }, {})
+      },
+      results: report.results.map(r => ({
+        id: r.id,
+        name: r.name,
+        group: r.group,
+        hash: report.hashes.components[r.id],
+        value: r.value,
+        entropy: r.entropy,
+        correctedEntropy: r.correctedEntropy,
+        redundancy: r.redundancy,
+        oneInX: r.oneInX,
+        source: r.source,
+        sourceLabel: r.sourceLabel,
+        note: r.note,
+        estimated: r.estimated,
+        matchedAs: r.matchedAs,
+        parts: r.parts,
+        difficulty: r.difficulty,
+        changeRequires: r.changeRequires
+      })),
+      failures: report.failures
+    };
+  }
+
+  function reportToJSON(report, config) {
+    return JSON.stringify(describeReport(report, config), null, 2);
+  }
+
+  /** Quote a CSV field when needed (RFC 4180) */
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /** One row per test; failed tests keep their reason and leave the numbers blank */
+  function reportToCSV(report, config) {
+    const info = describeReport(report, config);
+    const header = [
+      'id', 'name', 'status', 'group', 'value', 'hash', 'entropy', 'correctedEntropy', 'oneInX', 'estimated',
+      'matchedAs', 'difficulty', 'source', 'sourceLabel', 'reason', 'foundprintVersion', 'datasetVersion', 'profile'
+    ];
+    const rows = info.results.map(r => [
+      r.id, r.name, 'ok', r.group, r.value, r.hash, r.entropy, r.correctedEntropy, r.oneInX, r.estimated,
+      r.matchedAs ? r.matchedAs.key : '', r.difficulty, r.source, r.sourceLabel, '', info.version, info.dataset.version, info.profile.id
+    ]);
+    for (const f of info.failures) {
+      rows.push([f.id, f.name, 'failed', '', '', '', '', '', '', '', '', '', '', '', f.reason, info.version, info.dataset.version, info.profile.id]);
+    }
+    return [header].concat(rows).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /** Human-readable report; long raw values are listed in full after the table */
+  function reportToMarkdown(report, config) {
+    const info = describeReport(report, config);
+    const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    // JSON.stringify(undefined) is undefined (e.g. doNotTrack in Safari)
+    const rawValue = (value) => typeof value === 'string' || value === undefined ? String(value) : JSON.stringify(value);
+    const shorten = (text) => text.length > 60 ? text.slice(0, 57) + '...' : text;
+
+    const lines = [
+      '# FOUNDprint Report',
+      '',
+      `- **Generated:** ${info.generatedAt}`,
+      `- **FOUNDprint version:** ${info.version}`,
+      `- **Dataset version:** ${info.dataset.version}${info.dataset.name ? ` (${info.dataset.name})` : ''}`,
+      `- **Population profile:** ${info.profile.name}`,
+      `- **Tests:** ${info.summary.tests} (${info.summary.failed} failed)`,
+      `- **Total entropy:** ${info.summary.correctedEntropy.toFixed(2)} bits corrected for related traits (1 in ${formatNumber(info.summary.oneInX).text}); naive sum ${info.summary.totalEntropy.toFixed(2)} bits`,
+      ...(info.privacyBrowser ? [
+        `- **Privacy browser:** ${info.privacyBrowser.name}; 1 in ${formatNumber(info.privacyBrowser.oneInX).text} of its ${formatNumber(info.privacyBrowser.users).text} users (${info.privacyBrowser.entropy.toFixed(2)} bits)`
+      ] : []),
+      `- **Fingerprint:** \`${info.summary.fingerprintHash}\``,
+      ...HASH_GROUPS.map(group => `  - ${group}: \`${info.summary.groupHashes[group] || 'n/a'}\``),
+      '',
+      '## Results',
+      '',
+      '| Attribute | Value | Bits | Corrected | 1 in X | Difficulty | Source |',
+      '|-----------|-------|------|-----------|--------|------------|--------|'
+    ];
+    for (const r of info.results) {
+      const source = r.source ? `[${cell(r.sourceLabel || 'source')}](${r.source})` : cell(r.sourceLabel || 'n/a');
+      const matched = r.matchedAs ? ` (as ${r.matchedAs.key})` : '';
+      lines.push(`| ${cell(r.name)} | ${cell(shorten(rawValue(r.value)) + matched)} | ${r.entropy.toFixed(2)} | ${r.correctedEntropy.toFixed(2)} | ${formatNumber(r.oneInX).text}${r.estimated ? ' (estimated)' : ''} | ${r.difficulty} | ${source} |`);
+    }
+
+    if (info.failures.length > 0) {
+      lines.push('', '## Unable to Detect', '');
+      for (const f of info.failures) lines.push(`- **${f.name}:** ${f.reason}`);
+    }
+
+    lines.push('', '## Raw Values', '');
+    for (const r of info.results) {
+      lines.push(`### ${r.name}`, '', '```', rawValue(r.value), '```', '');
+    }
+
+    lines.push('## Datasets', '');
+    for (const t of info.dataset.tables) {
+      const details = [t.origin];
+      if (t.profile) details.push(`${t.profile} profile`);
+      if (t.collected) details.push(`collected ${t.collected}`);
+      if (t.sampleSize) details.push(`n = ${formatNumber(t.sampleSize).text}`);
+      lines.push(`- **${t.attribute}:** ${t.source ? `[${t.sourceLabel}](${t.source})` : t.sourceLabel} (${details.join(', ')})`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /** Serialize a report as json, csv or markdown, linking to `config.githubUrl` */
+  function buildExport(report, format, config) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      console.error(`FOUNDprint: Unknown export format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      return null;
+    }
+    return exporter.build(report, config);
+  }
+
+  /**
+   * Serialize a report from collect() or the complete event. Accepts the same
+   * `githubUrl` option as init().
+   */
+  function exportReport(report, format, options) {
+    return buildExport(report, format, resolveConfig(options));
+  }
+
+  /** Save a report as a file via a temporary Blob URL */
+  function downloadReport(report, format, config) {
+    const content = buildExport(report, format, config);
+    if (content === null) return;
+
+    const exporter = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([content], { type: exporter.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `foundprint-report-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ==========================================================================
+  // SECTION 9: SNAPSHOT COMPARISON
+  // ==========================================================================
+  // A previous JSON export is loaded back from a local file and diffed against
+  // the current run. This shows which attributes survive a VPN switch or a
+  // cookie purge, and how much identifying entropy they still carry.
+
+  /** Parse and sanity-check a JSON export loaded from disk */
+  function parseSnapshot(text) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(text);
+    } catch (e) {
+      throw new Error('This file is not valid JSON.');
+    }
+    if (!snapshot || snapshot.tool !== 'FOUNDprint' || !Array.isArray(snapshot.results)) {
+      throw new Error('This file is not a FOUNDprint JSON report.');
+    }
+    return snapshot;
+  }
+
+  /**
+   * Diff two reports attribute by attribute. Accepts collect() reports or
+   * parsed JSON exports (both carry `results` with id, name, value, entropy).
+   */
+  function compareReports(previous, current) {
+    const previousById = new Map(previous.results.map(r => [r.id, r]));
+    const currentById = new Map(current.results.map(r => [r.id, r]));
+    const comparison = { stable: [], changed: [], added: [], removed: [] };
+
+    for (const result of current.results) {
+      const before = previousById.get(result.id);
+      if (!before) {
+        comparison.added.push({ id: result.id, name: result.name, current: result.value });
+      } else if (JSON.stringify(before.value) === JSON.stringify(result.value)) {
+        comparison.stable.push({ id: result.id, name: result.name, value: result.value, entropy: result.entropy });
+      } else {
+        comparison.changed.push({ id: result.id, name: result.name, previous: before.value, current: result.value });
+      }
+    }
+    for (const result of previous.results) {
+      if (!currentById.has(result.id)) {
+        comparison.removed.push({ id: result.id, name: result.name, previous: result.value });
+      }
+    }
+
+    comparison.stableEntropy = correctedEntropyOf(comparison.stable);
+    comparison.stableOneInX = entropyToUniqueness(comparison.stableEntropy);
+    // Recompute both hash trees from the raw values rather than trusting the file
+    const previousTree = generateFingerprintHash(previous.results);
+    const currentTree = generateFingerprintHash(current.results);
+    comparison.previousHash = previousTree.hash;
+    comparison.currentHash = currentTree.hash;
+    comparison.hashMatches = previousTree.hash === currentTree.hash;
+    comparison.groups = HASH_GROUPS
+      .filter(group => previousTree.groups[group].hash || currentTree.groups[group].hash)
+      .map(group => ({
+        group: group,
+        matches: previousTree.groups[group].hash === currentTree.groups[group].hash
+      }));
+    comparison.similarity = fingerprintSimilarity(previous, current);
+    return comparison;
+  }
+
+  /** Build the comparison summary shown under the drop zone */
+  function renderComparison(comparison) {
+    const shorten = (value) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return escapeHtml(text.length > 48 ? text.slice(0, 45) + '...' : text);
+    };
+    const stableFormatted = formatNumber(Math.min(comparison.stableOneInX, WORLD_POPULATION));
+    const compared = comparison.stable.length + comparison.changed.length;
+
+    const headline = comparison.hashMatches
+      ? `<p><strong>Same fingerprint.</strong> The hash <code>${comparison.currentHash}</code> matches the previous run exactly.</p>`
+      : `<p><strong>The fingerprint hash changed</strong>, but <strong>${comparison.stable.length} of ${compared}</strong> attributes did not.</p>`;
+
+    const stableText = comparison.stable.length > 0
+      ? `<p>The unchanged attributes alone carry <strong>${comparison.stableEntropy.toFixed(1)} bits</strong>: still <strong>1 in ${stableFormatted.text}</strong>. A tracker only needs those to re-link both visits.</p>`
+      : '';
+
+    const rows = comparison.changed.map(r => `<tr>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${shorten(r.previous)}</td>
+          <td>${shorten(r.current)}</td>
+        </tr>`).join('');
+
+    const changedTable = comparison.changed.length > 0
+      ? `<table class="foundprint-report-table">
+          <thead><tr><th>Changed</th><th>Before</th><th>Now</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`
+      : '';
+
+    const stableList = comparison.stable.length > 0
+      ? `<p class="foundprint-compare-stable">Stable: ${comparison.stable.map(r => escapeHtml(r.name)).join(', ')}.</p>`
+      : '';
+
+    const similarityPercent = Math.round(comparison.similarity.score * 100);
+    const groupList = comparison.groups
+      .map(g => `${g.group} ${g.matches ? '&#10003;' : '&#10007;'}`)
+      .join(' · ');
+    const similarityText = `<p>Similarity: <strong>${similarityPercent}%</strong> (branches: ${groupList}). ` +
+      (comparison.similarity.linked
+        ? 'A tracker using fuzzy matching would very likely treat both runs as the <strong>same browser</strong>.'
+        : 'A fuzzy-matching tracker would have a harder time linking these runs.') + '</p>';
+
+    const otherList = comparison.added.concat(comparison.removed).length > 0
+      ? `<p class="foundprint-compare-stable">Only detected in one run: ${comparison.added.concat(comparison.removed).map(r => escapeHtml(r.name)).join(', ')}.</p>`
+      : '';
+
+    return headline + similarityText + stableText + changedTable + stableList + otherList;
+  }
 
-    document.getElementById('foundprint-restart').addEventListener('click', () => {
-      window.location.href = window.location.pathname + window.location.search + '#foundprint-demo';
-      window.location.reload();
+  /** Read a local file as text (FileReader works in older Safari, unlike Blob.text) */
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('The file could not be read.'));
+      reader.readAsText(file);
     });
   }
 
+  /** Read a dropped or picked file and show its diff against the instance's last run */
+  async function loadComparison(instance, file) {
+    const output = instance.elements.end.querySelector('.foundprint-compare-result');
+    if (!output || !instance.report) return;
+
+    try {
+      instance.snapshot = parseSnapshot(await readFileAsText(file));
+      showComparison(instance);
+    } catch (e) {
+      instance.snapshot = null;
+      output.innerHTML = `<p class="foundprint-compare-error">${escapeHtml(e.message)}</p>`;
+    }
+  }
+
+  /** Diff the loaded snapshot against the instance's current report */
+  function showComparison(instance) {
+    const output = instance.elements.end.querySelector('.foundprint-compare-result');
+    if (!output || !instance.snapshot || !instance.report) return;
+    output.innerHTML = renderComparison(compareReports(instance.snapshot, instance.report));
+  }
+
   // ==========================================================================
-  // SECTION 8: MAIN EXECUTION
+  // SECTION 10: MAIN EXECUTION
   // ==========================================================================
 
-  /** Run all fingerprinting tests and display results */
-  async function runExperiment() {
-    const disclaimer = document.getElementById('foundprint-disclaimer');
-    const resultsContainer = document.getElementById('foundprint-results');
-    const finalContainer = document.getElementById('foundprint-final');
-    const endContainer = document.getElementById('foundprint-end');
-
-    // Fade out disclaimer
-    disclaimer.classList.add('fade-out');
-    await sleep(300);
-    disclaimer.style.display = 'none';
+  /** Summarize a run in the shape returned by collect() */
+  function buildReport(results, failures, dataset, profileId) {
+    const totalEntropy = results.reduce((sum, r) => sum + r.entropy, 0);
+    const correctedEntropy = applyEntropyCorrections(results);
+    const uniqueness = entropyToUniqueness(correctedEntropy);
+    const hashTree = generateFingerprintHash(results);
+    return {
+      version: CONFIG.version,
+      results: results,
+      failures: failures,
+      totalEntropy: totalEntropy,
+      correctedEntropy: correctedEntropy,
+      oneInX: uniqueness,
+      naiveOneInX: entropyToUniqueness(totalEntropy),
+      isUnique: uniqueness >= WORLD_POPULATION,
+      fingerprintHash: hashTree.hash,
+      hashes: { groups: hashTree.groups, components: hashTree.components },
+      dataset: describeDataset(dataset, profileId),
+      profile: { id: profileId, name: PROFILES[profileId].name, suggested: suggestProfile() },
+      privacyBrowser: identifyPrivacyBrowser(results)
+    };
+  }
+
+  /**
+   * Re-score a finished report against another population profile. Values,
+   * messages and hashes stay the same; entropy and sources are looked up again.
+   */
+  function rescoreReport(report, dataset, profileId) {
+    const tables = profileTables(dataset, profileId);
+    const results = report.results.map(result => {
+      const copy = Object.assign({}, result);
+      if (result.lookup) {
+        const lookup = lookupAttribute(tables, result.lookup.attribute, result.lookup.key, result.lookup.baseline);
+        // Bits the test added on top of the table lookup (a WebGL randomizer)
+        const extraBits = result.lookup.extraBits || 0;
+        Object.assign(copy, {
+          entropy: lookup.entropy + extraBits,
+          oneInX: lookup.oneInX * Math.pow(2, extraBits),
+          source: lookup.source || null,
+          sourceLabel: lookup.sourceLabel || null,
+          note: lookup.note || null,
+          estimated: lookup.estimated || false,
+          matchedAs: matchedAsOf(lookup)
+        });
+      }
+      return copy;
+    });
+    return buildReport(results, report.failures, dataset, profileId);
+  }
+
+  /**
+   * Dispatch a `foundprint:<type>` CustomEvent on the instance's container.
+   * Events bubble, so a host can listen on the container or on document.
+   */
+  function emit(instance, type, detail) {
+    instance.container.dispatchEvent(new CustomEvent('foundprint:' + type, {
+      bubbles: true,
+      detail: detail
+    }));
+  }
+
+  /**
+   * Per-run context handed to every test's run(). `data` holds the lookup tables
+   * for the run's dataset and profile. Probe elements attached to document.body through it are tracked, so
+   * a cancelled run can be cleaned up.
+   */
+  function createRunContext(dataset, profileId) {
+    const probes = new Set();
+    return {
+      data: profileTables(dataset, profileId),
+      // Results recorded so far in this run, for tests that cross-check others
+      results: [],
+      addProbe: function(element) {
+        document.body.appendChild(element);
+        probes.add(element);
+        return element;
+      },
+      removeProbe: function(element) {
+        element.remove();
+        probes.delete(element);
+      },
+      cleanup: function() {
+        probes.forEach(element => element.remove());
+        probes.clear();
+      }
+    };
+  }
+
+  /**
+   * Run a single test and normalize its output into a result record. Entropy
+   * comes from the test's lookup, a bare `entropy` value, or BASELINE_ENTROPY.
+   * Never throws: unsupported or crashing tests yield { failed: true, reason }.
+   */
+  async function executeTest(testName, ctx) {
+    const test = tests[testName];
+    const record = {
+      id: testName,
+      name: test.name,
+      group: test.group,
+      difficulty: test.difficulty,
+      changeRequires: test.changeRequires
+    };
+
+    let result;
+    try {
+      result = await test.run(ctx);
+    } catch (e) {
+      console.warn(`FOUNDprint: ${test.name} failed:`, e);
+      return Object.assign(record, { failed: true, reason: (e && e.message) || String(e) });
+    }
+
+    if (result === null || result === undefined) {
+      return Object.assign(record, { failed: true, reason: 'Not supported by this browser' });
+    }
+
+    let entropyBits, sourceUrl, sourceLabel = null, note = null, isEstimated = false, matchedAs = null;
+
+    if (result.lookup && result.lookup.entropy !== undefined) {
+      entropyBits = result.lookup.entropy;
+      sourceUrl = result.lookup.source;
+      sourceLabel = result.lookup.sourceLabel || null;
+      note = result.lookup.note || null;
+      isEstimated = result.lookup.estimated || false;
+      matchedAs = matchedAsOf(result.lookup);
+      // Remember what was looked up, so the result can be re-scored for another profile
+      if (result.lookup.attribute) {
+        record.lookup = { attribute: result.lookup.attribute, key: result.lookup.key, baseline: result.lookup.baseline };
+        if (result.lookup.extraBits) record.lookup.extraBits = result.lookup.extraBits;
+      }
+    } else if (result.entropy !== undefined) {
+      entropyBits = result.entropy;
+      sourceUrl = null;
+    } else if (testName === 'webgl') {
+      entropyBits = BASELINE_ENTROPY.webglRenderer.bits + BASELINE_ENTROPY.webglVendor.bits;
+      sourceUrl = BASELINE_ENTROPY.webglRenderer.source;
+      sourceLabel = BASELINE_ENTROPY.webglRenderer.sourceLabel;
+      isEstimated = true;
+    } else if (test.entropy) {
+      entropyBits = test.entropy.bits;
+      sourceUrl = test.entropy.source;
+      sourceLabel = test.entropy.sourceLabel;
+      note = test.entropy.note;
+      isEstimated = true;
+    } else if (BASELINE_ENTROPY[testName]) {
+      const entropyConfig = BASELINE_ENTROPY[testName];
+      entropyBits = entropyConfig.bits;
+      sourceUrl = entropyConfig.source;
+      sourceLabel = entropyConfig.sourceLabel;
+      note = entropyConfig.note;
+      isEstimated = true;
+    } else {
+      console.warn(`FOUNDprint: No entropy config for test "${testName}". Using conservative fallback.`);
+      entropyBits = 1.0;
+      sourceUrl = null;
+      isEstimated = true;
+    }
+
+    const oneInX = (result.lookup && result.lookup.oneInX)
+      ? result.lookup.oneInX
+      : entropyToUniqueness(entropyBits);
+
+    return Object.assign(record, {
+      failed: false,
+      value: result.value,
+      message: result.message,
+      entropy: entropyBits,
+      oneInX: oneInX,
+      source: sourceUrl || null,
+      sourceLabel: sourceLabel,
+      note: note,
+      estimated: isEstimated,
+      matchedAs: matchedAs,
+      // Per-attribute breakdown of a combined test, each with its own difficulty
+      parts: result.parts || null
+    });
+  }
+
+  /**
+   * Run all fingerprinting tests and display results in an instance's container.
+   * Each run gets an id; if reset() or destroy() starts a newer one, this run
+   * stops at its next await instead of writing into the fresh UI.
+   */
+  async function runExperiment(instance) {
+    const runId = ++instance.runId;
+    const isStale = () => runId !== instance.runId;
+    const config = instance.config;
+    const dataset = await instance.datasetPromise;
+    if (isStale()) return;
+    const profileId = resolveProfile(config.profile);
+    const ctx = createRunContext(dataset, profileId);
+    const disclaimer = instance.elements.disclaimer;
+    const resultsContainer = instance.elements.results;
+    const finalContainer = instance.elements.final;
+    const endContainer = instance.elements.end;
+
+    instance.context = ctx;
+    instance.dataset = dataset;
+
+    // Fade out disclaimer (already hidden when running again)
+    if (disclaimer.style.display !== 'none') {
+      disclaimer.classList.add('fade-out');
+      await sleep(300);
+      if (isStale()) return;
+      disclaimer.style.display = 'none';
+    }
     resultsContainer.style.display = 'block';
 
+    const results = ctx.results;
+    const failures = [];
+    const order = resolveTestOrder(config);
     let totalEntropy = 0;
-    let successfulTests = 0;
-    const failedTests = [];
-    const fingerprintValues = [];
     let alreadyUnique = false;
-    const completedTests = [];
 
-    const testOrder = [
-      'screenResolution', 'pixelRatio', 'timezone', 'language', 'userAgent',
-      'platform', 'doNotTrack', 'cpuCores', 'deviceMemory', 'touchSupport',
-      'adBlocker', 'connectionType', 'webgl', 'fonts', 'canvas', 'audio'
-    ];
+    emit(instance, 'start', { tests: order });
 
-    for (const testName of testOrder) {
-      const test = tests[testName];
-      if (!test) continue;
+    for (let index = 0; index < order.length; index++) {
+      const testName = order[index];
+      emit(instance, 'test-start', { id: testName, name: tests[testName].name, index: index, total: order.length });
 
-      try {
-        const result = await test.run();
+      const record = await executeTest(testName, ctx);
+      if (isStale()) return;
+      if (record.failed) {
+        const failure = { id: record.id, name: record.name, reason: record.reason };
+        failures.push(failure);
+        emit(instance, 'test-failed', failure);
+        continue;
+      }
 
-        if (result === null || result === undefined) {
-          failedTests.push(test.name);
-          continue;
-        }
+      delete record.failed;
+      record.redundancy = entropyRedundancy(record, results);
+      record.correctedEntropy = record.entropy - (record.redundancy ? record.redundancy.bits : 0);
+      totalEntropy += record.correctedEntropy;
+      results.push(record);
+
+      const isUnique = await addResultLine(
+        config, resultsContainer, record, totalEntropy,
+        results.length === 1, alreadyUnique
+      );
+      if (isStale()) return;
+
+      emit(instance, 'result', { result: record, totalEntropy: totalEntropy });
+
+      if (isUnique && !alreadyUnique) {
+        alreadyUnique = true;
+        emit(instance, 'unique', {
+          id: record.id,
+          totalEntropy: totalEntropy,
+          oneInX: entropyToUniqueness(totalEntropy)
+        });
+      }
+    }
 
-        let entropyBits, sourceUrl, isEstimated = false;
-
-        if (result.lookup && result.lookup.entropy !== undefined) {
-          entropyBits = result.lookup.entropy;
-          sourceUrl = result.lookup.source;
-          isEstimated = result.lookup.estimated || false;
-        } else if (result.entropy !== undefined) {
-          entropyBits = result.entropy;
-          sourceUrl = null;
-        } else if (testName === 'webgl') {
-          entropyBits = BASELINE_ENTROPY.webglRenderer.bits + BASELINE_ENTROPY.webglVendor.bits;
-          sourceUrl = BASELINE_ENTROPY.webglRenderer.source;
-          isEstimated = true;
-        } else if (BASELINE_ENTROPY[testName]) {
-          const entropyConfig = BASELINE_ENTROPY[testName];
-          entropyBits = entropyConfig.bits;
-          sourceUrl = entropyConfig.source;
-          isEstimated = true;
-        } else {
-          console.warn(`FOUNDprint: No entropy config for test "${testName}". Using conservative fallback.`);
-          entropyBits = 1.0;
-          sourceUrl = null;
-          isEstimated = true;
-        }
+    ctx.cleanup();
+    const report = buildReport(results, failures, dataset, profileId);
+    instance.report = report;
 
-        totalEntropy += entropyBits;
-        successfulTests++;
-        fingerprintValues.push(result.value);
+    await sleep(config.dramaticPause);
+    if (isStale()) return;
+    showFinalReveal(finalContainer, report);
 
-        completedTests.push({
-          name: test.name,
-          difficulty: test.difficulty,
-          changeRequires: test.changeRequires,
-          entropy: entropyBits
-        });
+    await sleep(800);
+    if (isStale()) return;
+    showEndState(config, endContainer, report);
+    instance.running = false;
+    emit(instance, 'complete', report);
+  }
 
-        const oneInX = (result.lookup && result.lookup.oneInX)
-          ? result.lookup.oneInX
-          : entropyToUniqueness(entropyBits);
+  /** Clear all output and run the suite again in place (no page reload) */
+  function resetInstance(instance) {
+    if (instance.context) instance.context.cleanup();
 
-        const isUnique = await addResultLine(
-          resultsContainer, result.message, entropyBits, oneInX,
-          sourceUrl, isEstimated, totalEntropy,
-          successfulTests === 1, alreadyUnique
-        );
+    const { results, final, end } = instance.elements;
+    for (const element of [results, final, end]) {
+      element.innerHTML = '';
+      element.style.display = 'none';
+    }
+    final.classList.remove('visible');
+    instance.snapshot = null;
 
-        if (isUnique && !alreadyUnique) {
-          alreadyUnique = true;
-        }
+    instance.running = true;
+    runExperiment(instance);
+  }
 
-      } catch (e) {
-        failedTests.push(test.name);
-        console.warn(`FOUNDprint: ${test.name} failed:`, e);
-      }
+  /** Re-score the finished run against another population profile and redraw it */
+  function switchProfile(instance, profileId) {
+    if (!instance.report || !instance.dataset || !PROFILES[profileId]) return;
+
+    const report = rescoreReport(instance.report, instance.dataset, profileId);
+    instance.report = report;
+    refreshResultLines(instance.elements.results, report);
+    showFinalReveal(instance.elements.final, report);
+    showEndState(instance.config, instance.elements.end, report);
+    // The end screen was rebuilt; compare the loaded snapshot against the new scores
+    showComparison(instance);
+    emit(instance, 'profile', { profile: report.profile, report: report });
+  }
+
+  /** Cancel any run, remove listeners, probes and markup, and forget the instance */
+  function destroyInstance(instance) {
+    instance.runId++;
+    instance.running = false;
+    if (instance.context) instance.context.cleanup();
+
+    for (const type of Object.keys(instance.handlers)) {
+      instance.container.removeEventListener(type, instance.handlers[type]);
     }
+    instance.container.innerHTML = '';
+    instance.container.classList.remove('foundprint-root');
+    instances.delete(instance.container);
+  }
 
-    const fingerprintHash = generateFingerprintHash(fingerprintValues);
-    await showFinalReveal(finalContainer, successfulTests, totalEntropy, fingerprintHash);
+  /**
+   * Headless collection: run the same tests as the animated demo and resolve
+   * with structured results. Touches the DOM only where probes need it (font
+   * measurement, ad blocker bait), so hosts can render their own visualization.
+   * Accepts the same `tests`, `dataset` and `profile` options as init().
+   */
+  async function collect(options) {
+    const config = resolveConfig(options);
+    const dataset = await loadDataset(config.dataset);
+    const profileId = resolveProfile(config.profile);
+    const ctx = createRunContext(dataset, profileId);
+    const results = ctx.results;
+    const failures = [];
+
+    for (const testName of resolveTestOrder(config)) {
+      const record = await executeTest(testName, ctx);
+      if (record.failed) {
+        failures.push({ id: record.id, name: record.name, reason: record.reason });
+        continue;
+      }
 
-    await sleep(800);
-    showEndState(endContainer, successfulTests, failedTests, completedTests);
+      delete record.failed;
+      results.push(record);
+    }
+    ctx.cleanup();
+
+    return buildReport(results, failures, dataset, profileId);
   }
 
-  /** Initialize FOUNDprint when DOM is ready */
-  function init() {
-    const container = document.getElementById('foundprint-demo');
+  // Every initialized container, so several embeds on one page stay independent
+  const instances = new Map();
 
-    if (!container) {
-      console.error('FOUNDprint: Container #foundprint-demo not found');
-      return;
+  // Containers picked up automatically on page load
+  const AUTO_INIT_SELECTOR = '#foundprint-demo, [data-foundprint]';
+
+  /**
+   * Initialize FOUNDprint in a container (element or selector; defaults to
+   * #foundprint-demo). Options passed here override the container's data-*
+   * attributes, which override CONFIG. init(options) uses the default container.
+   * Returns the instance.
+   */
+  function init(target, options) {
+    if (target && typeof target === 'object' && !target.nodeType && options === undefined) {
+      options = target;
+      target = null;
+    }
+    const container = typeof target === 'string' || !target
+      ? document.querySelector(target || '#foundprint-demo')
+      : target;
+
+    if (!container || !container.nodeType) {
+      console.error(`FOUNDprint: Container ${target || '#foundprint-demo'} not found`);
+      return null;
+    }
+
+    // Re-initializing a container replaces its previous instance
+    if (instances.has(container)) destroyInstance(instances.get(container));
+
+    const config = resolveConfig(Object.assign(readDataOptions(container), options));
+    const instance = {
+      container: container,
+      config: config,
+      elements: null,
+      running: false,
+      runId: 0,
+      context: null,
+      handlers: null,
+      report: null,
+      dataset: null,
+      // Report file loaded into the comparison panel, if any
+      snapshot: null,
+      // Loading starts now so a dataset URL is usually fetched before Start is clicked
+      datasetPromise: loadDataset(config.dataset)
+    };
+    instance.reset = () => resetInstance(instance);
+    instance.destroy = () => destroyInstance(instance);
+
+    container.classList.add('foundprint-root');
+    createUI(container, config);
+
+    // All DOM lookups are scoped to this container
+    instance.elements = {
+      disclaimer: container.querySelector('.foundprint-disclaimer'),
+      results: container.querySelector('.foundprint-results'),
+      final: container.querySelector('.foundprint-final'),
+      end: container.querySelector('.foundprint-end')
+    };
+
+    // Delegated listeners on the container, so destroy() knows exactly what to remove
+    instance.handlers = {
+      click: (event) => {
+        if (event.target.closest('.foundprint-start') && !instance.running) {
+          instance.running = true;
+          runExperiment(instance);
+        } else if (event.target.closest('.foundprint-restart')) {
+          resetInstance(instance);
+        } else if (event.target.closest('.foundprint-export-button') && instance.report) {
+          downloadReport(instance.report, event.target.closest('.foundprint-export-button').dataset.format, instance.config);
+        }
+      },
+      change: (event) => {
+        if (event.target.matches('.foundprint-compare-input') && event.target.files.length > 0) {
+          loadComparison(instance, event.target.files[0]);
+        } else if (event.target.matches('.foundprint-profile-select')) {
+          switchProfile(instance, event.target.value);
+        }
+      },
+      dragover: (event) => {
+        const zone = event.target.closest('.foundprint-compare-drop');
+        if (!zone) return;
+        event.preventDefault();
+        zone.classList.add('foundprint-dragging');
+      },
+      dragleave: (event) => {
+        const zone = event.target.closest('.foundprint-compare-drop');
+        if (zone) zone.classList.remove('foundprint-dragging');
+      },
+      drop: (event) => {
+        const zone = event.target.closest('.foundprint-compare-drop');
+        if (!zone) return;
+        event.preventDefault();
+        zone.classList.remove('foundprint-dragging');
+        if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+          loadComparison(instance, event.dataTransfer.files[0]);
+        }
+      }
+    };
+    for (const type of Object.keys(instance.handlers)) {
+      container.addEventListener(type, instance.handlers[type]);
     }
 
-    createUI(container);
+    instances.set(container, instance);
+    return instance;
+  }
 
-    document.getElementById('foundprint-start').addEventListener('click', () => {
-      runExperiment();
+  /** Initialize every container matching AUTO_INIT_SELECTOR */
+  function autoInit() {
+    const containers = document.querySelectorAll(AUTO_INIT_SELECTOR);
+    if (containers.length === 0) {
+      console.error('FOUNDprint: No container found (#foundprint-demo or [data-foundprint])');
+      return;
+    }
+    containers.forEach(container => {
+      if (!instances.has(container)) init(container);
     });
   }
 
+  /** Look up the instance for a container element or selector */
+  function getInstance(target) {
+    const container = typeof target === 'string' ? document.querySelector(target) : target;
+    return instances.get(container) || null;
+  }
+
+  // Public API: headless access for hosts that render their own UI
+  window.FOUNDprint = {
+    version: CONFIG.version,
+    init: init,
+    getInstance: getInstance,
+    collect: collect,
+    exportReport: exportReport,
+    compareReports: compareReports,
+    similarity: fingerprintSimilarity,
+    registerTest: registerTest
+  };
+
   // Run init when DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', autoInit);
   } else {
-    init();
+    autoInit();
   }
 
 })();